@@ -3,184 +3,204 @@
  * 
  * 自动备份时机:  
  *   - 安装或更新插件：执行一次全量备份
- *   - 使用某个用户资料启动 Chrome 浏览器：如果距离上一次全量备份的时间间隔超过 FULL_BACKUP_INTERVAL，则执行全量备份，否则执行增量备份
- *   - 插件运行期间：定期执行增量备份，以应对存活时间较短的视频，时间间隔为 INCR_BACKUP_INTERVAL (设备休眠 或 浏览器关闭 时不会执行)
+ *   - 使用某个用户资料启动 Chrome 浏览器：如果距离上一次全量备份的时间间隔超过设置中的 fullBackupInterval，则执行全量备份，否则执行增量备份
+ *   - 插件运行期间：定期执行增量备份，以应对存活时间较短的视频，时间间隔为设置中的 incrBackupInterval (设备休眠 或 浏览器关闭 时不会执行)
+ *   (各项设置的默认值见 background/settings.js，可以在选项页中修改)
  * 
  * 注意：
- *   移除插件会清空 Chrome Extension Storage 中的备份数据
- *   如何手动删除备份数据: 浏览器开发者工具 - Application - Storage - Extension Storage - 插件名 - Local
+ *   移除插件会清空所有备份数据 (备份数据保存在 IndexedDB 中，数据模型见 background/store.js)
+ *   如何手动查看备份数据: 插件管理页面 - 检查视图 service worker - Application - Storage - IndexedDB
  */
 
 
 // chrome.storage.local 中使用的键名
-const STORAGE_BACKUP_KEY = "all_medias";   // 所有收藏夹的视频信息备份
-const STORAGE_MID_KEY = "mid";             // 用户ID
-const STORAGE_FAVLIST_KEY = "favlist";     // 用户收藏夹列表
+const STORAGE_MID_KEY = "mid";             // 当前登录的用户ID (最近一次备份时获取到的)
+const STORAGE_ACCOUNTS_KEY = "accounts";   // 所有备份过的用户ID列表
+const STORAGE_LAST_RUN_KEY = "last_run";   // 最近一次备份任务的执行结果
+
+const ALARM_RESUME_BACKUP = "ResumeBackup";  // 限流暂停结束后继续备份的定时任务
+
+// 以下数据按账号分开存储，实际键名为 `${键名}_${用户ID}`，通过 getAccountStorage / setAccountStorage 读写
+// (备份数据本身保存在 IndexedDB 中，见 background/store.js)
 const STORAGE_LAST_FULL_BACKUP_TIME = "last_full_backup_time";  // 上次全量备份的时间戳
-const STORAGE_INVALID_IDS_KEY = "invalid_ids";                  // 已知的失效视频ID集合（类似于"循环不变量", 需要维护好其语义: 虽然只有增量备份时需要用到, 但在全量备份时也要更新这个集合）
+const STORAGE_PROFILE_KEY = "profile";                          // 用户信息 (用户名等)
 
-// 备份策略中的时间常量
-const FULL_BACKUP_INTERVAL = 24 * 60 * 60 * 1000;     // 24 小时 (单位毫秒): 全量备份的最小时间间隔 
-const INCR_BACKUP_INTERVAL = 60;                      //  1 小时 (单位分钟): 插件运行期间 定期执行增量备份的时间间隔 
-const ALARM_TIMEOUT = 60 * 1000;                      //  1 分钟 (单位毫秒): 实际触发时间 - 预定触发时间 > 这个值, 就认为 alarm 超时了
-// 用来排除因 设备休眠 或 浏览器关闭 而延迟触发的 alarm (https://developer.chrome.com/docs/extensions/reference/api/alarms?hl=zh-cn)
+// 视频备份数据的格式版本号，保存在每条视频备份的 v 字段中
+//   1 (没有 v 字段): 只有 bvid、avid、title、attr、up
+//   2: 增加了简介、封面、时长、分P数、发布时间、收藏时间、播放数、点赞数、标签
+const MEDIA_SCHEMA_VERSION = 2;
 
 // B站API地址
 const API_LIST_MEDIA = "https://api.bilibili.com/x/v3/fav/resource/list"             // 分页获取收藏夹视频
-const MATCH_API_LIST_MEDIA = "https://api.bilibili.com/x/v3/fav/resource/list?*"     // 监听请求匹配   
 const API_GET_MYINFO = "https://api.bilibili.com/x/space/v2/myinfo"                  // 获取用户信息
 const API_GET_FAVLIST = "https://api.bilibili.com/x/v3/fav/folder/created/list-all"  // 获取用户的收藏夹列表      
+const API_GET_COLLECTED = "https://api.bilibili.com/x/v3/fav/folder/collected/list"  // 分页获取用户收藏的收藏夹和订阅的合集
+const API_LIST_SEASON_MEDIA = "https://api.bilibili.com/x/space/fav/season/list"     // 分页获取合集视频
+const API_GET_WATCH_LATER = "https://api.bilibili.com/x/v2/history/toview"           // 获取稍后再看列表
 const API_GET_FAV_IDS = "https://api.bilibili.com/x/v3/fav/resource/ids"             // 获取收藏夹所有视频的ID
+const API_GET_FAV_INFOS = "https://api.bilibili.com/x/v3/fav/resource/infos"         // 批量获取收藏内容的信息
 const API_GET_MEDIA_INFO = "https://api.bilibili.com/x/web-interface/view"           // 获取单个视频详细信息
+const API_GET_MEDIA_DETAIL = "https://api.bilibili.com/x/web-interface/view/detail"  // 获取单个视频超详细信息 (包含标签)
+const API_ADD_FOLDER = "https://api.bilibili.com/x/v3/fav/folder/add"                // 新建收藏夹 (POST)
+const API_DEAL_RESOURCE = "https://api.bilibili.com/x/v3/fav/resource/deal"          // 把视频添加到收藏夹或从收藏夹中移除 (POST)
+const API_BATCH_DEL_RESOURCE = "https://api.bilibili.com/x/v3/fav/resource/batch-del" // 批量从收藏夹中移除视频 (POST)
+
+// 批量获取收藏内容的信息时，每次请求查询的视频个数 (接口没有说明上限，取一个保守的值)
+const FAV_INFOS_BATCH_SIZE = 20;
+
+// 其他模块 (与本文件共享全局作用域，需要在 service worker 启动时同步加载)
+importScripts(
+  "background/settings.js",       // 用户设置
+  "background/request.js",        // 请求B站 API (频率控制、重试、限流)
+  "background/jobs.js",           // 备份任务的检查点
+  "background/db.js",             // IndexedDB
+  "background/status.js",         // 视频状态
+  "background/store.js",          // 备份数据的读写
+  "background/archive.js",        // 归档
+  "background/migrations.js",     // 存储结构的版本迁移
+  "background/backup-io.js",      // 备份数据的导出与导入
+  "background/covers.js",         // 封面存档
+  "background/notifications.js",  // 失效通知
+  "background/search.js",         // 全文搜索
+  "background/resolvers.js",      // 失效视频标题的其他来源
+  "background/sync.js",           // WebDAV 同步
+  "background/snapshots.js",      // 备份快照
+  "background/folder-restore.js", // 在B站上重新创建被删除的收藏夹
+  "background/folder-clean.js",   // 从B站收藏夹中清理已备份的失效视频
+);
 
 
 
 
 /**
- * 封装带有Chrome插件标记的请求
+ * 获取某个账号下的数据在 chrome.storage.local 中实际使用的键名
  * 
- * @param {string} url - 请求的URL
- * @param {string} method - HTTP请求方法，默认为GET
- * @returns {Promise<Object>} 返回一个Promise对象，解析为响应数据
+ * @param {number|string} mid - 用户ID
+ * @param {string} key - 键名，如 STORAGE_PROFILE_KEY
+ * @returns {string} 实际键名
  */
-const fetchFromExt = async (url, method) => {
-  // 简单控制请求频率
-  await new Promise(resolve => setTimeout(resolve, 700));
-  
-  const response = await fetch(url, {
-    method: method || "GET",
-    headers: {
-      "X-Extension-Request": "true", // 添加标记，防止被chrome.webRequest.onBeforeSendHeaders重复拦截，不然会无限重复发送相同的请求
-    },
-  })
-
-  if (!response.ok) {
-    throw new Error(`API请求失败, 状态码: ${response.status}`);
-  }
-
-  const res = await response.json();
-  // console.log(`Response of ${url}`, res.data)
-  return res;
-}
-
+const accountKey = (mid, key) => `${key}_${mid}`;
 
 /**
- * 记录上一次监听到的请求URL，用于过滤连续重复请求
+ * 读取某个账号下的数据，返回结果仍以原始键名作为 key，用法与 chrome.storage.local.get 相同
+ * 
+ * @param {number|string} mid - 用户ID
+ * @param {string[]} keys - 键名列表
+ * @returns {Promise<Object>} 读取到的数据
  */
-let lastRequestInfo = {
-  url: null,
-  timestamp: 0
-};
+const getAccountStorage = async (mid, keys) => {
+  const items = await chrome.storage.local.get(keys.map(key => accountKey(mid, key)));
+  return Object.fromEntries(keys.map(key => [key, items[accountKey(mid, key)]]));
+}
 
 /**
- * 验证是否要忽略该请求   
- * - 忽略插件发出的请求  
- * - 忽略连续重复请求（300ms内）  
- * - 忽略无效请求  
+ * 写入某个账号下的数据，用法与 chrome.storage.local.set 相同
  * 
- * @param {Object} details - 请求详情
- * @param {string} details.url - 请求URL
- * @param {Object} details.requestHeaders - 请求头
- * @returns {boolean} 是否要忽略该请求
+ * @param {number|string} mid - 用户ID
+ * @param {Object} items - 以原始键名作为 key 的数据
  */
-const needToSkipRequest = (details) => {
-  // 1.忽略插件发出的请求 (否则插件发出的请求也会被监听到，导致无限重复发送请求)
-  const isExtensionRequest = details.requestHeaders?.some(
-    (header) => header.name === "X-Extension-Request" && header.value === "true"
-  );
-  if (isExtensionRequest) return true;
-
-  // 2.忽略连续重复请求 (切换收藏夹时，B站可能会连发两个相同的分页请求，不知道为什么)
-  const now = Date.now();
-  if (lastRequestInfo.url === details.url && now - lastRequestInfo.timestamp < 300) {
-    return true;
-  }
-  lastRequestInfo.url = details.url;
-  lastRequestInfo.timestamp = now;
-
-  // 3.忽略无效请求 (初次打开收藏夹页面，B站可能会发送 list?media_id=0 这种无效请求，不知道为什么)
-  const url = new URL(details.url);
-  const mediaId = url.searchParams.get('media_id');
-  if (!mediaId || mediaId === "0") return true;
-
-  return false;
+const setAccountStorage = async (mid, items) => {
+  await chrome.storage.local.set(Object.fromEntries(
+    Object.entries(items).map(([key, value]) => [accountKey(mid, key), value])
+  ));
 }
 
 /**
- *  查询出当前页面上失效视频的备份标题，然后发送给 content.js 去执行 DOM 更新操作
+ * 查询收藏夹页面上失效视频的备份，用于替换页面上的“已失效视频”
+ * 
+ * 页面的分页请求响应由 content-main.js 在页面中读取，content.js 把其中的失效视频发送过来，结果直接作为响应返回给发出请求的标签页
+ * 视频备份是所有账号、所有收藏夹共用的，所以不需要区分当前登录的账号和收藏夹
+ * 悬停卡片中的收藏时间和 "其他收藏夹" 来自页面上当前登录的账号的备份，当前登录的账号和当前页面的收藏夹由 content.js 传过来
+ * 
+ * 失效原因: 页面上的列表只能看出视频是否失效 (稍后再看可以看出更具体的稿件状态)，备份中记录了更具体的状态时使用备份中的状态
  * 
- *  1.获取当前页面分页请求的响应内容 (因为没办法直接拿到响应体，所以只能监听请求 -> 复制并发送相同请求 -> 拿到响应体)
- *  2.获取其中的失效视频  
- *  3.通过失效视频的 bvid 查询备份的视频标题，将“已失效视频”替换掉
- *  4.把替换过标题的失效视频列表发送给 content.js 去执行 DOM 更新操作
+ * 没有备份的视频: 立即返回导入的数据和缓存中的标题，需要在线查询的视频在后台查询，查到后写入备份，
+ * 再通过 resolvedMediaBackups 消息发送给页面 (在线查询可能要很久，不能让页面等待)
  * 
- * @param {Object} details - 拦截到的请求详细信息
- * @param {string} details.url - 请求URL
- * @param {string} details.method - 请求方法
- * @param {Object} details.requestHeaders - 请求头信息(包含cookie)
+ * @param {Array<Object>} medias - 失效视频 [{ bvid, attr, state }]，state 为稿件状态 (只有稍后再看列表中有)
+ * @param {string|null} favId - 当前页面的收藏夹ID，"watchlater" 表示稍后再看，为空表示默认收藏夹
+ * @param {number} [pageMid] - 页面上当前登录的用户ID，为空时使用最近一次备份的账号
+ * @param {Object} [page] - 发出请求的页面 { tabId, frameId }，为空时不在线查询
+ * @returns {Promise<Array<Object>>} 替换后的失效视频
+ *   [{ bvid, attr, status, statusName, statusSince, statusCheckedAt, title, intro, upName, upMid, avid, favTime, invalidSince, folders, coverData, source }]
  */
-const listener = async (details) => {
-  try {
-    if (needToSkipRequest(details)) return;
-
-    // 1. 获取当前页面分页请求的响应内容
-    const res = await fetchFromExt(details.url, details.method);
-
-    // 2. 获取其中的失效视频
-    const invalidMedias = res.data?.medias?.filter(media => media.attr != 0) || [];   // attr: 是否失效 0-正常 1-其他原因删除 9-up主自己删除
-
-    //    获取其中的当前收藏夹信息
-    const favInfo = res.data?.info;
-    const favId = favInfo?.id;
-    if (favId === undefined) {
-      throw new Error("从分页请求响应中获取收藏夹 ID 失败")
-    }
-
-    // 3. 通过失效视频的 bvid 查询备份的视频标题，将“已失效视频”替换掉
-    const { [STORAGE_BACKUP_KEY]: backedUpFavs} =  await chrome.storage.local.get([STORAGE_BACKUP_KEY]);
-    const backedUpFav = backedUpFavs?.[favId];
-    if (backedUpFav === undefined) {
-      throw new Error(`收藏夹 ${favInfo.title}(${favId}) 的备份数据不存在`);
-    }
-    //    用备份标题替换失效标题
-    invalidMedias.forEach(media => {
-      media.title = backedUpFav[media.bvid]?.title || "未备份失效视频标题";
-    });
+const getInvalidMediaBackups = async (medias, favId, pageMid, page) => {
+  const bvids = medias.map(media => media.bvid);
+  const videos = { ...await getArchivedVideos(bvids), ...await getVideos(bvids) };   // 重新收藏的视频，下次备份前先使用归档中的备份
+  // 没有备份的视频 (安装插件之前就已经失效)，使用用户配置的其他来源，查到的标题写入备份
+  const { resolved, pending } = await getCachedTitles(bvids.filter(bvid => !isBackedUp(videos[bvid])));
+  await saveResolvedTitles(resolved);
+  if (page && pending.length > 0) {
+    resolvePendingTitles(medias.filter(media => pending.includes(media.bvid)), favId, pageMid, page)
+      .catch(err => console.error("在线查询失效视频的标题出错:", err));
+  }
 
-    // 4. 把替换过标题的失效视频列表发送给 content.js 去执行 DOM 更新操作
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    chrome.tabs.sendMessage(tab.id, {
-      type: "replaceInvalidTitles",
-      data: invalidMedias,
+  // 视频所在的收藏夹 (页面上当前登录的账号，切换账号后还没有备份时也不会使用上一个账号的数据)
+  // 默认收藏夹的页面URL中没有收藏夹ID，是第一个自己创建的收藏夹
+  const mid = pageMid ?? (await chrome.storage.local.get([STORAGE_MID_KEY]))[STORAGE_MID_KEY];
+  const videoFolders = mid === undefined ? {} : await getVideoFolders(mid, bvids);
+  const currentFavId = favId === "watchlater" ? watchLaterFolderId(mid)
+    : favId ? parseFolderId(favId)
+    : (await getFolders(mid)).find(folder => (folder.type || FOLDER_TYPE_CREATED) === FOLDER_TYPE_CREATED)?.id;
+
+  // 用备份标题替换失效标题，用备份简介替换失效简介 (失效视频在分页请求响应中的简介不是原简介)
+  const results = [];
+  for (const { bvid, attr, state } of medias) {
+    const backup = isBackedUp(videos[bvid]) ? videos[bvid] : undefined;
+    const other = backup ? undefined : resolved[bvid];
+    const folders = videoFolders[bvid] || [];
+    const { status } = withVideoStatus(videos[bvid], state !== undefined ? statusFromState(state) : statusFromAttr(attr));
+    const seen = videos[bvid]?.states?.[status];   // 备份中记录的这个状态第一次和最后一次看到的时间
+    results.push({
+      bvid,
+      attr,
+      status,
+      statusName: VIDEO_STATUS_NAMES[status],
+      statusSince: seen?.firstSeen,                       // 第一次看到这个状态的时间 (毫秒)
+      statusCheckedAt: seen?.lastSeen,                    // 最近一次确认这个状态的时间 (毫秒)
+      title: backup?.title || other?.title || "未备份失效视频标题",
+      intro: backup?.intro || other?.intro || "",
+      upName: backup?.up?.name || other?.up?.name,
+      upMid: backup?.up?.mid ?? other?.up?.mid,
+      avid: backup?.avid ?? bvidToAvid(bvid),
+      favTime: folders.find(folder => folder.id === currentFavId)?.fav_time,   // 收藏到当前收藏夹的时间 (秒)
+      invalidSince: videos[bvid]?.invalidSince,                                 // 第一次发现失效的时间 (毫秒)
+      folders: folders.filter(folder => folder.id !== currentFavId)                 // 同一个视频所在的其他收藏夹
+        .map(({ id, title }) => ({ id, title, url: getFavlistUrl(mid, id) })),
+      coverData: backup ? await getCoverDataUrl(bvid) : null,   // 存档的封面
+      source: backup?.titleSource ?? other?.source,   // 不是插件自己的备份时，标题的来源
     });
-  } catch (err) {
-    console.error(err);
   }
+  return results;
 }
 
-
-
 /**
- * 监听收藏夹页面的分页请求
- * 
- * @param {Function} callback - 回调函数
- * @param {Object} filter - 监听哪些请求
- * @param {Array} extraInfoSpec - 指定需要哪些额外信息(可选)
- *   - requestHeaders: 提供请求头信息
- *   - extraHeaders: 提供额外的请求头信息(如Cookie等)
+ * 在线查询没有备份的失效视频的标题，查到后写入备份，并把替换后的失效视频发送给页面
+ *
+ * @param {Array<Object>} medias - 需要在线查询的失效视频 [{ bvid, attr, state }]
+ * @param {string|null} favId - 当前页面的收藏夹ID
+ * @param {number} [pageMid] - 页面上当前登录的用户ID
+ * @param {Object} page - 发出请求的页面 { tabId, frameId }
  */
-chrome.webRequest.onBeforeSendHeaders.addListener(
-  listener,
-  { urls: [MATCH_API_LIST_MEDIA] },
-  ["requestHeaders", "extraHeaders"]
-);
+const resolvePendingTitles = async (medias, favId, pageMid, page) => {
+  const found = await lookupTitles(medias.map(media => media.bvid));
+  if (Object.keys(found).length === 0) return;
+  await saveResolvedTitles(found);
+
+  // 查到的标题已经缓存，再次查询时不会在线查询
+  const results = await getInvalidMediaBackups(medias.filter(media => found[media.bvid]), favId, pageMid);
+  await chrome.tabs.sendMessage(page.tabId, { type: "resolvedMediaBackups", medias: results }, { frameId: page.frameId })
+    .catch(() => {});   // 页面已经关闭
+}
 
 
 
 /**
- * 获取并保存用户ID
+ * 获取并保存当前登录的用户ID
+ * 
+ * 每个账号的备份数据是分开存储的，切换账号后会自动备份到新账号名下，不会覆盖其他账号的数据
  * 
- * @returns {Promise<string>} 用户ID
+ * @returns {Promise<number>} 用户ID
  * @throws {Error} 请求获取到的用户ID为空
  */
 const saveMid = async () => {
@@ -191,16 +211,17 @@ const saveMid = async () => {
     throw new Error("请求获取到的用户ID为空");
   }
 
-  // 2. 从 storage 获取上次保存的用户 ID
-  const { [STORAGE_MID_KEY]: savedMid } = await chrome.storage.local.get([STORAGE_MID_KEY]);
-  
-  // 3. 如果发现已有备份的用户 ID 与当前用户 ID 不同，说明切换了账号
-  if (savedMid && savedMid !== currentMid) {
-    throw new Error("切换账号会导致备份数据被覆盖，建议使用新的 Chrome 个人资料来登录别的账号(需要为新的 Chrome 个人资料重新安装插件)");
-  }
+  // 2. 保存当前用户 ID，并记录到账号列表中
+  const { [STORAGE_ACCOUNTS_KEY]: accounts = [] } = await chrome.storage.local.get([STORAGE_ACCOUNTS_KEY]);
+  await chrome.storage.local.set({
+    [STORAGE_MID_KEY]: currentMid,
+    [STORAGE_ACCOUNTS_KEY]: accounts.includes(currentMid) ? accounts : [...accounts, currentMid],
+  });
 
-  // 4. 保存当前用户 ID
-  await chrome.storage.local.set({ [STORAGE_MID_KEY]: currentMid });
+  // 3. 保存用户信息，用于在插件弹窗中展示
+  await setAccountStorage(currentMid, {
+    [STORAGE_PROFILE_KEY]: { mid: currentMid, name: res.data.profile.name },
+  });
   return currentMid;
 };
 
@@ -228,32 +249,77 @@ const saveFavList = async (mid) => {
     cnt: fav.media_count,   // 收藏夹视频数量
     mid: fav.mid,           // 用户ID
     title: fav.title,       // 收藏夹标题
+    attr: fav.attr,         // 属性位，见 toFolderMeta
+    type: FOLDER_TYPE_CREATED,
   }));
   if (!favlist.length || favlist.length !== res.data.count) {
     throw new Error(`获取到的收藏夹列表有问题：应有 ${res.data.count} 个，实际获取到 ${favlist.length} 个`);
   }
 
-  await chrome.storage.local.set({ [STORAGE_FAVLIST_KEY]: favlist});
+  // 收藏的收藏夹和订阅的合集排在自己创建的收藏夹后面，最后是稍后再看
+  favlist.push(...await getCollectedFolders(mid));
+  favlist.push({ id: watchLaterFolderId(mid), mid, title: "稍后再看", type: FOLDER_TYPE_WATCH_LATER });
+
+  await replaceFolders(mid, favlist);
   return favlist;
 };
 
+/**
+ * 分页获取用户收藏的其他用户的收藏夹、订阅的合集 (B站收藏页面中的"我的收藏和订阅")
+ * 
+ * @param {number} mid - 用户ID
+ * @returns {Promise<Array<Object>>} 收藏夹列表
+ * @throws {Error} API响应格式异常、获取到的数量不完整
+ */
+const getCollectedFolders = async (mid) => {
+  const pageSize = 20;   // 该参数目前最大值为20
+  const folders = [];
+  let page = 1;
+  let res = null;
+
+  do {
+    res = await fetchFromExt(`${API_GET_COLLECTED}?up_mid=${mid}&pn=${page}&ps=${pageSize}&platform=web`);
+    if (res.code !== 0 || !res.data) {
+      throw new Error("API 响应格式异常，可能是接口发生变化");
+    }
+    // type: 11-收藏夹 21-合集
+    folders.push(...(res.data.list || []).map((fav) => ({
+      id: fav.type === 21 ? seasonFolderId(fav.id) : fav.id,
+      cnt: fav.media_count,
+      mid,
+      title: fav.title,
+      type: fav.type === 21 ? FOLDER_TYPE_SEASON : FOLDER_TYPE_COLLECTED,
+      up: {
+        mid: fav.upper?.mid ?? fav.mid,   // 收藏夹、合集的创建者
+        name: fav.upper?.name,
+      },
+      invalid: fav.state === 1 ? 1 : 0,   // 已经被创建者删除，或者设置为私密
+    })));
+    page += 1;
+  } while (res.data.has_more);
+
+  if (folders.length !== res.data.count) {
+    throw new Error(`获取到的收藏和订阅列表有问题：应有 ${res.data.count} 个，实际获取到 ${folders.length} 个`);
+  }
+  return folders;
+}
+
 
 /**
  * 获取单个视频的信息
  * 
  * @param {string} bvid - 视频的BV号
- * @returns {Promise<Object>} 视频信息 (attr = 0 表示视频有效)
+ * @returns {Promise<Object>} 视频信息 (status 为 VIDEO_STATUS_NORMAL 表示视频有效，失效视频只有 { attr, status })
  * @throws {Error} API响应格式异常、请求错误
  */
 const getMediaInfo = async (bvid) => {
   // API文档：https://socialsisteryi.github.io/bilibili-API-collect/docs/video/info.html
   const res = await fetchFromExt(`${API_GET_MEDIA_INFO}?bvid=${bvid}`);
 
-  // 失效视频
+  // 失效视频 (视频不存在、up主自己删除、仅up主可见、审核中)
   if (res.code !== 0) {
-    if (res.code === -404)  return { attr: 1 };  // 一般是其他原因删除
-    if (res.code === 62002) return { attr: 9 };  // 一般是up主自己删除
-    if (res.code === 62012) return { attr: -1};  // 仅up主可见
+    const status = statusFromCode(res.code);
+    if (status) return { attr: attrFromStatus(status), status };
     throw new Error(`请求错误, 状态码: ${res.code}`);
   }
 
@@ -262,19 +328,81 @@ const getMediaInfo = async (bvid) => {
     throw new Error(`API 响应格式不符合预期`)
   }
 
-  // 有效视频
+  // 有效视频 (标签需要单独请求，由 enrichBackup 补充)
   return {
+    v: MEDIA_SCHEMA_VERSION,
     bvid: res.data.bvid,    // 视频的BV号
     avid: res.data.aid,     // 视频的AV号
     title: res.data.title,  // 视频标题
     attr: 0,                // 是否失效 0-正常 1-其他原因删除 9-up主自己删除
+    status: VIDEO_STATUS_NORMAL,   // 视频状态，见 background/status.js
     up: {
       mid: res.data.owner.mid,    // up主id
       name: res.data.owner.name,  // up主名称
-    }
+    },
+    intro: res.data.desc,         // 视频简介
+    cover: res.data.pic,          // 封面URL
+    duration: res.data.duration,  // 视频时长 (秒)
+    page: res.data.videos,        // 分P数
+    pubtime: res.data.pubdate,    // 发布时间 (秒级时间戳)
+    play: res.data.stat?.view,    // 播放数
+    like: res.data.stat?.like,    // 点赞数
   }
 }
 
+/**
+ * 获取单个视频的点赞数、播放数和标签，用于补充备份数据 (收藏夹分页请求的响应中没有这些信息)
+ * 
+ * @param {string} bvid - 视频的BV号
+ * @returns {Promise<Object|null>} { play, like, tags }，视频已失效时返回 null
+ * @throws {Error} API响应格式异常、请求错误
+ */
+const getMediaDetail = async (bvid) => {
+  // API文档：https://socialsisteryi.github.io/bilibili-API-collect/docs/video/info.html#获取视频超详细信息-web端
+  const res = await fetchFromExt(`${API_GET_MEDIA_DETAIL}?bvid=${bvid}`);
+
+  if (res.code !== 0) {
+    if (statusFromCode(res.code)) return null;  // 失效视频，同 getMediaInfo
+    throw new Error(`请求错误, 状态码: ${res.code}`);
+  }
+  if (!res.data?.View) {
+    throw new Error(`API 响应格式不符合预期`)
+  }
+
+  return {
+    play: res.data.View.stat?.view,                         // 播放数
+    like: res.data.View.stat?.like,                         // 点赞数
+    tags: (res.data.Tags || []).map(tag => tag.tag_name),   // 标签名列表
+  };
+}
+
+
+/**
+ * 批量获取收藏夹中视频的信息 (一次请求查询多个视频，响应中每个视频的格式与收藏夹分页列表相同)
+ * 
+ * @param {Array<Object>} items - 收藏夹中的内容 [{ id: AV号, type: 内容类型, bvid }]，格式同 API_GET_FAV_IDS 的响应，最多 FAV_INFOS_BATCH_SIZE 个
+ * @returns {Promise<Object>} bvid -> 视频信息 (格式同 getMediaInfo，status 为 VIDEO_STATUS_NORMAL 表示视频有效)，接口没有返回的视频不包含在结果中
+ * @throws {RateLimitError} 被限流
+ * @throws {Error} API 响应格式异常、请求错误
+ */
+const getMediaInfos = async (items) => {
+  const resources = items.map(item => `${item.id}:${item.type}`).join(",");
+  const res = await fetchFromExt(`${API_GET_FAV_INFOS}?resources=${resources}`);
+  if (res.code !== 0) {
+    throw new Error(`请求错误, 状态码: ${res.code}`);
+  }
+  if (res.data !== null && !Array.isArray(res.data)) {
+    throw new Error("API 响应格式异常");
+  }
+
+  const infos = {};
+  for (const media of res.data || []) {
+    const { fav_time, ...info } = toMediaBackup(media);   // 批量查询不属于某个收藏夹，没有收藏时间
+    infos[info.bvid] = info;
+  }
+  return infos;
+}
+
 
 /**
  * 增量备份单个文件夹 (只考虑新增收藏)   
@@ -282,8 +410,12 @@ const getMediaInfo = async (bvid) => {
  * 
  * 增量备份逻辑:  
  *   获取收藏夹内所有视频的 ID 列表，遍历每一个 ID:    
- *     1. 视频未备份 -> 查询视频详情，如果视频有效，添加到备份中   
- *     2. 视频已备份 -> 跳过   
+ *     1. 视频没有记录 -> 查询视频详情，如果视频有效，添加到备份中，否则记录为已知的失效视频   
+ *     2. 视频已备份 (包括在其他收藏夹中备份的) 或 已知失效 -> 跳过   
+ *   最后把收藏夹中新出现的视频加入收藏夹与视频的对应关系
+ * 
+ *   查询视频详情时，每 FAV_INFOS_BATCH_SIZE 个视频批量查询一次 (见 getMediaInfos)，
+ *   批量查询失败、或者没有返回某个视频时，再逐个查询这些视频 (见 getMediaInfo)
  * 
  * 可以保证:   
  *     1. 不更新已有备份  
@@ -293,14 +425,18 @@ const getMediaInfo = async (bvid) => {
  * 补充：为什么不利用分页请求API，基于收藏时间排序来实现增量查询？  
  *      因为会受到自定义排序的影响，不能保证结果一定是按收藏时间排序的
  * 
+ *  @param {number} mid 用户ID
  *  @param {string} favId 收藏夹ID 
+ *  @param {Function} [onPage] 升级为全量备份时，每获取到一页视频后调用 (见 backupOneFavFull)
+ *  @returns {Promise<Array<Object>>} 新发现失效的已备份视频 (根据ID列表中的 attr 判断，不重新查询已备份的视频)
+ *  @throws {RateLimitError} 被限流
  *  @throws {Error} API 响应格式异常、未获取到详细信息的视频ID列表
  */
-const backupOneFavIncr = async (favId) => {
-    // 1. 获取收藏夹内所有视频的 ID 列表  
+const backupOneFavIncr = async (mid, favId, onPage) => {
+    // 1. 获取收藏夹内所有视频的 ID 列表 (同时包含 AV 号和内容类型，用于批量查询)
     const res = await fetchFromExt(`${API_GET_FAV_IDS}?media_id=${favId}`);
-    let ids = res.data?.map(item => item.bvid) || [];
-    let cnt = ids.length;   // 收藏夹内总的视频个数
+    const allIds = res.data?.map(item => item.bvid) || [];
+    let cnt = allIds.length;   // 收藏夹内总的视频个数
 
     //    检查响应格式是否符合预期
     if (res.code !== 0 || !Array.isArray(res.data)) {
@@ -308,86 +444,160 @@ const backupOneFavIncr = async (favId) => {
     }
     
 
-    // 2. 获取当前收藏夹的备份
-    const { [STORAGE_BACKUP_KEY]: backedUpFavs = {} } = await chrome.storage.local.get([STORAGE_BACKUP_KEY]);  
-    const backedUpFav = backedUpFavs[favId] || {};  
-    //    获取已知的失效视频ID集合
-    const { [STORAGE_INVALID_IDS_KEY]: invalidIdsArray = [] } = await chrome.storage.local.get([STORAGE_INVALID_IDS_KEY]);  
-    const invalidIds = new Set(invalidIdsArray);
-
-    // 3. 过滤掉备份中已存在的ID、以及已知的失效视频ID
-    ids = ids.filter(bvid => !backedUpFav[bvid] && !invalidIds.has(bvid));
+    // 2. 过滤掉已备份的视频、以及已知的失效视频
+    //    视频记录是所有收藏夹共用的，从其他收藏夹移动或复制过来的视频不需要再查询
+    const knownVideos = await getVideos(allIds);
+    const newItems = res.data.filter(item => !knownVideos[item.bvid]);
+    //    已知的视频只根据列表中的 attr 检查是否新失效
+    const knownStatuses = Object.fromEntries(res.data
+      .filter(item => knownVideos[item.bvid] && typeof item.attr === "number")
+      .map(item => [item.bvid, { attr: item.attr, status: statusFromAttr(item.attr) }]));
 
     //    如果需要查询的视频较多，就升级为全量备份
-    //    增量备份：需要发送 ids.length 次请求
+    //    增量备份：需要发送 Math.ceil(newItems.length / FAV_INFOS_BATCH_SIZE) 次请求
     //    全量备份：需要发送 Math.ceil(cnt / 40) 次请求
-    if (ids.length > Math.ceil(cnt / 40)) {
-      return await backupOneFavFull(favId);
+    //    两者之比超过设置中的 incrUpgradeFactor 时升级
+    const { incrUpgradeFactor } = await getSettings();
+    if (Math.ceil(newItems.length / FAV_INFOS_BATCH_SIZE) > Math.ceil(cnt / 40) * incrUpgradeFactor) {
+      return await backupOneFavFull(mid, favId, onPage);
     }
 
-    // 4. 未备份的有效视频 -> 添加到备份    
-    //    未备份的失效视频 -> 加入已知失效ID的集合，减少以后的无用请求
-    let inserts = {}
+    // 3. 未备份的有效视频 -> 添加到备份    
+    //    未备份的失效视频 -> 记录为已知的失效视频，减少以后的无用请求
+    let newVideos = [];
     let errorIds = [];  // 记录获取信息失败的视频ID
-    for (const bvid of ids) {
+    let rateLimitError = null;
+    for (let i = 0; i < newItems.length && !rateLimitError; i += FAV_INFOS_BATCH_SIZE) {
+      const batch = newItems.slice(i, i + FAV_INFOS_BATCH_SIZE);
+      let infos = {};
       try {
-        const mediaInfo = await getMediaInfo(bvid);
-        if (mediaInfo.attr === 0) {
-          inserts[bvid] = mediaInfo;
-        } else {
-          invalidIds.add(bvid);
-        }
+        infos = await getMediaInfos(batch);
       } catch (err) {
-        errorIds.push(bvid);
-        console.error(`获取视频 ${bvid} 的详细信息失败:`, err);
+        // 被限流时不再继续查询，保存已经查询到的结果后暂停备份任务
+        if (err instanceof RateLimitError) {
+          rateLimitError = err;
+          break;
+        }
+        console.error("批量获取视频的详细信息失败，改为逐个获取:", err);
       }
-    }
-    // console.log("收藏夹: ", favId)
-    // console.log("插入的视频: ", inserts)
-
-    // 3. 保存结果
-    const updatedFavs = {
-      ...backedUpFavs,   // 其他收藏夹保持不变
-      [favId]: {
-        ...backedUpFav,  // 当前收藏夹已有的数据保持不变
-        ...inserts       // 加入新增的数据
+
+      for (const { bvid } of batch) {
+        try {
+          const mediaInfo = infos[bvid] || await getMediaInfo(bvid);
+          newVideos.push(mediaInfo.status === VIDEO_STATUS_NORMAL ? mediaInfo : { bvid, attr: mediaInfo.attr, status: mediaInfo.status });
+        } catch (err) {
+          if (err instanceof RateLimitError) {
+            rateLimitError = err;
+            break;
+          }
+          errorIds.push(bvid);
+          console.error(`获取视频 ${bvid} 的详细信息失败:`, err);
+        }
       }
-    };
-    await chrome.storage.local.set({ 
-      [STORAGE_BACKUP_KEY]: updatedFavs, 
-      [STORAGE_INVALID_IDS_KEY]: Array.from(invalidIds) 
-    });
+    }
+
+    // 4. 保存结果 (被限流时只保存已经查询过的视频，剩下的留到下一次增量备份)
+    //    出错时不检查已知视频是否失效，否则新失效的视频不会被通知，留到下一次备份
+    const savedIds = rateLimitError
+      ? allIds.filter(bvid => knownVideos[bvid] || newVideos.some(video => video.bvid === bvid))
+      : allIds;
+    const failed = rateLimitError || errorIds.length > 0;
+    const newlyInvalid = await saveFolderIncr(mid, favId, savedIds, newVideos, failed ? {} : knownStatuses);
 
+    if (rateLimitError) {
+      throw rateLimitError;
+    }
     if (errorIds.length > 0) {
       throw new Error(`获取以下视频的详细信息失败: ${errorIds}`);
     }
+    return newlyInvalid;
 }
 
 /**
- * 增量备份所有收藏夹
+ * 获取备份任务的收藏夹列表 (继续之前中断的任务时，使用任务开始时获取到的列表)
  * 
- * @param {string} mid 用户ID
- * @throws {Error} 未获取到收藏夹列表、部分收藏夹备份失败
+ * @param {Object} job 备份任务
+ * @throws {Error} 未获取到收藏夹列表
  */
-const backupAllFavsIncr = async (mid) => {
-  // 1. 获取最新的用户收藏夹列表
-  const favlist = await saveFavList(mid);  
+const loadJobFavlist = async (job) => {
+  if (job.favlist) return;
+
+  const favlist = await saveFavList(job.mid);
   if (favlist === undefined) {
     throw new Error("未获取到收藏夹列表");
   }
+  job.favlist = favlist.map(fav => ({ id: fav.id, title: fav.title, type: fav.type, invalid: fav.invalid }));
+  await saveBackupJob(job);
+}
 
-  // 2. 增量备份每个收藏夹
-  let errorCount = 0;
-  for (const fav of favlist) {
+/**
+ * 获取备份某种收藏夹的函数
+ * 
+ * @param {string} type 收藏夹类型 FOLDER_TYPE_*
+ * @param {boolean} full 是否全量备份
+ * @returns {Function} 备份函数，参数为 (mid, favId, onPage, resumeFrom)，见 backupOneFavFull
+ */
+const getFolderBackup = (type, full) => {
+  switch (type) {
+    case FOLDER_TYPE_SEASON:
+      return full ? backupOneSeasonFull : backupOneSeasonIncr;
+    case FOLDER_TYPE_WATCH_LATER:
+      return full ? backupWatchLaterFull : backupWatchLaterIncr;
+    default:
+      return full ? backupOneFavFull : backupOneFavIncr;
+  }
+}
+
+/**
+ * 依次备份备份任务中还没有备份完的收藏夹，每备份完一个收藏夹 (以及全量备份时每获取到一页视频) 保存一次检查点
+ * 
+ * 已经失效的收藏的收藏夹、订阅的合集 (被创建者删除或设为私密) 无法获取，跳过并保留原有的备份
+ * 
+ * @param {Object} job 备份任务
+ * @param {boolean} full 是否全量备份
+ * @throws {RateLimitError} 被限流 (剩下的收藏夹不再备份，正在备份的收藏夹保留检查点)
+ */
+const backupJobFavs = async (job, full) => {
+  for (const [index, fav] of job.favlist.entries()) {
+    if (job.done.includes(fav.id) || fav.invalid) continue;
+    updateProgress({ done: index, total: job.favlist.length, current: fav.title });
+
+    const onPage = ({ page, medias }) => saveBackupJobPage(job, fav.id, page, medias);
     try {
-      await backupOneFavIncr(fav.id)
+      // 上次中断时正在全量备份这个收藏夹 (包括增量备份升级为全量备份的)，从中断的那一页继续 (保存的页缺失时从第一页重新获取)
+      const resuming = job.current?.favId === fav.id;
+      const mediaList = resuming ? await loadBackupJobPages(job.current) : null;
+      const invalidVideos = mediaList
+        ? await getFolderBackup(fav.type, true)(job.mid, fav.id, onPage, { page: job.current.page, mediaList })
+        : await getFolderBackup(fav.type, full || resuming)(job.mid, fav.id, onPage);
+      job.invalidVideos.push(...invalidVideos.map(video => ({ favId: fav.id, bvid: video.bvid, title: video.title, attr: video.attr, status: video.status })));
     } catch (err) {
-      errorCount += 1;
-      console.error(`收藏夹 ${fav.title} (${fav.id}) 增量备份时出错:`, err);
+      if (err instanceof RateLimitError) throw err;   // 被限流时暂停整个备份任务，不再继续备份剩下的收藏夹
+      job.errorCount += 1;
+      console.error(`收藏夹 ${fav.title} (${fav.id}) 备份失败:`, err);
     }
+    job.done.push(fav.id);
+    await clearBackupJobPages(job.current);
+    job.current = null;
+    await saveBackupJob(job);
   }
-  if (errorCount > 0) {
-    throw new Error(`有 ${errorCount} 个收藏夹增量备份出错`);
+}
+
+/**
+ * 增量备份所有收藏夹
+ * 
+ * @param {Object} job 备份任务
+ * @throws {RateLimitError} 被限流 (剩下的收藏夹不再备份)
+ * @throws {Error} 未获取到收藏夹列表、部分收藏夹备份失败
+ */
+const backupAllFavsIncr = async (job) => {
+  // 1. 获取最新的用户收藏夹列表
+  await loadJobFavlist(job);
+
+  // 2. 增量备份每个收藏夹
+  await backupJobFavs(job, false);
+  if (job.errorCount > 0) {
+    throw new Error(`有 ${job.errorCount} 个收藏夹增量备份出错`);
   }
 }
 
@@ -401,99 +611,283 @@ const backupAllFavsIncr = async (mid) => {
  *     3. 视频失效
  * 
  * 全量备份逻辑:  
- *   准备一个空的集合 updates  
  *   遍历收藏夹中的所有视频，可能发生的所有情况:  
- *     1. 有效视频，备份存在 -> 左边存入集合   
- *     2. 有效视频，备份不存在 -> 左边存入集合（新增收藏）  
- *     3. 失效视频，备份存在 -> 右边存入集合（视频失效、失效视频移动或复制）  
- *     4. 失效视频，备份不存在 -> 跳过  
- *     5. 没有视频，备份存在 -> 跳过（取消收藏）  
- *   用 updates 去替换掉整个收藏夹的备份
+ *     1. 有效视频，备份存在 -> 用最新的视频信息更新备份   
+ *     2. 有效视频，备份不存在 -> 新增备份（新增收藏）  
+ *     3. 失效视频，备份存在 -> 保留备份（视频失效、失效视频移动或复制，备份是所有收藏夹共用的）  
+ *     4. 失效视频，备份不存在 -> 只记录为已知的失效视频  
+ *     5. 没有视频，备份存在 -> 删除收藏夹与视频的对应关系（取消收藏），视频不在任何收藏夹中时，在全量备份所有收藏夹结束时清理备份  
+ *   以上操作在一个事务中完成，见 saveFolderFull (同时保存收藏夹的简介、封面等信息，以及视频在收藏夹中的顺序)
  * 
  * 
  * 可以保证:  
  *     1. 幂等性（多次执行，备份的最终状态是一致的）  
- *     2. 排除掉未备份的失效视频，收藏夹中的视频和备份视频信息之间是 1:1 对应的关系  
- *     2. 已备份的失效视频信息不会丢失，除非取消收藏  
+ *     2. 收藏夹中的视频和对应关系之间是 1:1 对应的关系  
+ *     3. 已备份的失效视频信息不会丢失，除非取消收藏  
  * 
  * 
+ * @param {number} mid 用户ID
  * @param {string} favId 收藏夹ID 
+ * @param {Function} [onPage] 每获取到一页视频 (最后一页除外) 后调用，参数为 { page, medias: 这一页的视频 }，用于保存检查点
+ * @param {Object} [resumeFrom] 检查点 { page: 已经获取到的页码, mediaList: 已经获取到的视频 }，从下一页继续获取
+ * @returns {Promise<Array<Object>>} 新发现失效的已备份视频
  * @throws {Error} API响应格式异常、获取到的视频数量不完整
  */
-const backupOneFavFull = async (favId) => {
-  // 1. 分页获取当前收藏夹所有视频
-  const mediaList = [];  // 存放当前收藏夹所有视频 (只保存需要备份的数据)
+const backupOneFavFull = async (mid, favId, onPage, resumeFrom) => {
+  // 1. 分页获取当前收藏夹所有视频 (每一页的响应中都有收藏夹信息)
+  let info = null;
+  const mediaList = await fetchFolderMedias(async (page) => {
+    const result = await fetchFavMediaPage(favId, page);
+    info = result.info;
+    return result;
+  }, onPage, resumeFrom);
+
+  // 2. 更新当前收藏夹备份
+  return await saveFolderFull(mid, favId, mediaList, toFolderMeta(info));
+};
+
+/**
+ * 把收藏夹分页列表响应中的收藏夹信息转换为备份数据 (标题、视频数在获取收藏夹列表时已经保存)
+ * 
+ * 参数含义见：https://socialsisteryi.github.io/bilibili-API-collect/docs/fav/info.html
+ * 
+ * @param {Object} info 收藏夹信息
+ * @returns {Object} 收藏夹信息的备份数据
+ */
+const toFolderMeta = (info) => ({
+  attr: info.attr,     // 属性位: 第0位 0-公开 1-私密，第1位 0-默认收藏夹 1-其他收藏夹
+  intro: info.intro,   // 简介
+  cover: info.cover,   // 封面URL
+  ctime: info.ctime,   // 创建时间 (秒级时间戳)
+  mtime: info.mtime,   // 修改时间 (秒级时间戳)
+});
+
+/**
+ * 获取收藏夹的一页视频
+ * 
+ * @param {number} favId 收藏夹ID
+ * @param {number} page 页码
+ * @returns {Promise<Object>} { medias: 这一页的视频, hasMore: 是否还有下一页, mediaCount: 收藏夹视频数, info: 收藏夹信息 }
+ * @throws {Error} API响应格式异常
+ */
+const fetchFavMediaPage = async (favId, page) => {
   const pageSize = 40;   // 该参数目前最大值为40
-  let page = 1;
-  let res = null;
+  const res = await fetchFromExt(`${API_LIST_MEDIA}?media_id=${favId}&pn=${page}&ps=${pageSize}`);
+  // 检查响应格式是否符合预期 (可能会因为API变动或请求失败导致无响应数据，此时要作为异常抛出，否则会误判为"所有视频都被取消收藏"，从而误删备份数据)
+  if (!res.data || res.data.info === undefined || res.data.medias === undefined) {
+    throw new Error("API 响应格式异常，可能是接口发生变化");   
+  }
+  return {
+    medias: res.data.medias || [],    // 收藏夹内无视频时 medias = null
+    hasMore: !!res.data.has_more,
+    mediaCount: res.data.info.media_count,
+    info: res.data.info,
+  };
+}
+
+/**
+ * 获取合集的一页视频
+ * 
+ * @param {number} favId 合集在备份数据中的收藏夹ID (见 seasonFolderId)
+ * @param {number} page 页码
+ * @returns {Promise<Object>} 同 fetchFavMediaPage
+ * @throws {Error} API响应格式异常
+ */
+const fetchSeasonMediaPage = async (favId, page) => {
+  const pageSize = 20;   // 该参数目前最大值为20
+  const res = await fetchFromExt(`${API_LIST_SEASON_MEDIA}?season_id=${-favId}&pn=${page}&ps=${pageSize}`);
+  if (!res.data?.info || res.data.medias === undefined) {
+    throw new Error("API 响应格式异常，可能是接口发生变化");
+  }
+  return {
+    medias: (res.data.medias || []).map(media => ({ attr: 0, ...media })),   // 合集中的视频可能没有 attr 字段
+    hasMore: page * pageSize < res.data.info.media_count,
+    mediaCount: res.data.info.media_count,
+  };
+}
+
+/**
+ * 把收藏夹接口返回的视频 (分页列表、批量查询的格式相同) 转换为备份数据
+ * 
+ * 对于每条视频，将备份以下信息，参数含义见：https://socialsisteryi.github.io/bilibili-API-collect/docs/fav/list.html
+ *   (点赞数和标签需要单独请求，由 enrichBackup 补充)
+ * 
+ * @param {Object} media 接口返回的视频
+ * @returns {Object} 视频的备份数据
+ */
+const toMediaBackup = (media) => ({
+  v: MEDIA_SCHEMA_VERSION,
+  bvid: media.bvid,    // 视频的BV号
+  avid: media.id,      // 视频的AV号
+  title: media.title,  // 视频标题
+  attr: media.attr,    // 是否失效 0-正常 1-其他原因删除 9-up主自己删除
+  status: statusFromAttr(media.attr),   // 视频状态 (列表中只能看出是否失效、是否是up主自己删除)
+  up: {
+    mid: media.upper?.mid,    // up主id
+    name: media.upper?.name,  // up主名称
+  },
+  intro: media.intro,           // 视频简介
+  cover: media.cover,           // 封面URL
+  duration: media.duration,     // 视频时长 (秒)
+  page: media.page,             // 分P数
+  pubtime: media.pubtime,       // 发布时间 (秒级时间戳)
+  fav_time: media.fav_time,     // 收藏时间 (秒级时间戳)
+  play: media.cnt_info?.play,   // 播放数
+});
+
+/**
+ * 分页获取收藏夹 (或合集) 中的所有视频
+ * 
+ * @param {Function} fetchPage 获取一页视频的函数，参数为页码，返回值见 fetchFavMediaPage
+ * @param {Function} [onPage] 每获取到一页视频 (最后一页除外) 后调用，参数为 { page, medias: 这一页的视频 }，用于保存检查点
+ * @param {Object} [resumeFrom] 检查点 { page: 已经获取到的页码, mediaList: 已经获取到的视频 }，从下一页继续获取
+ * @returns {Promise<Array<Object>>} 所有视频 (只保存需要备份的数据)
+ * @throws {Error} API响应格式异常、获取到的视频数量不完整
+ */
+const fetchFolderMedias = async (fetchPage, onPage, resumeFrom) => {
+  const mediaList = [...(resumeFrom?.mediaList || [])];
+  let page = (resumeFrom?.page || 0) + 1;
+  let result = null;
 
   do {
-    res = await fetchFromExt(`${API_LIST_MEDIA}?media_id=${favId}&pn=${page}&ps=${pageSize}`);
-    // 检查响应格式是否符合预期 (可能会因为API变动或请求失败导致无响应数据，此时要作为异常抛出，否则会误判为"所有视频都被取消收藏"，从而误删备份数据)
-    if (!res.data || res.data.info === undefined || res.data.medias === undefined) {
-      throw new Error("API 响应格式异常，可能是接口发生变化");   
+    result = await fetchPage(page);
+    const medias = result.medias.map(toMediaBackup);
+    mediaList.push(...medias);
+    if (result.hasMore) {
+      await onPage?.({ page, medias });
     }
-    const pageMedias = res.data.medias || [];    // 收藏夹内无视频时 medias = null
-    // 对于每条视频，将备份以下信息，参数含义见：https://socialsisteryi.github.io/bilibili-API-collect/docs/fav/list.html
-    mediaList.push(...pageMedias.map(media => ({
-      bvid: media.bvid,    // 视频的BV号
-      avid: media.id,      // 视频的AV号
-      title: media.title,  // 视频标题
-      attr: media.attr,    // 是否失效 0-正常 1-其他原因删除 9-up主自己删除
-      up: {
-        mid: media.upper?.mid,    // up主id
-        name: media.upper?.name,  // up主名称
-      }
-    })));
     page += 1;
-  } while (res.data?.has_more);
+  } while (result.hasMore);
 
 
   // 二次确认，防止误删备份数据
   if (mediaList.length === 0) {
     // 如果一个视频都没获取到，需要进一步确认收藏夹是否真的为空
-    if (res.data.info.media_count > 0) {
+    if (result.mediaCount > 0) {
       throw new Error("收藏夹不为空但未获取到任何视频，可能是 API 异常");
     }
   }
-  // 为什么不能用 mediaList.length === res.data.info.media_count 来检查视频数量的完整性？
+  // 为什么不能用 mediaList.length === mediaCount 来检查视频数量的完整性？
   // 因为可能会有视频设置了仅up主可见，导致实际能获取到的视频数量就是要比收藏夹视频数 count 要少
-  
 
-  // 2. 更新当前收藏夹备份
-  const { 
-    [STORAGE_BACKUP_KEY]: backedUpFavs = {},
-    [STORAGE_INVALID_IDS_KEY]: invalidIdsArray = []
-  } = await chrome.storage.local.get([STORAGE_BACKUP_KEY, STORAGE_INVALID_IDS_KEY]);
-  const invalidIds = new Set(invalidIdsArray);    // 已知的失效视频ID集合
-  let allBackedupMedias = {};                     // 存放所有已备份的视频
-  for (const backedUpFav of Object.values(backedUpFavs)) {
-    allBackedupMedias = {...allBackedupMedias, ...backedUpFav};
-  }
-
-  let updates = {};
-  for (const media of mediaList) {
-    if (media.attr === 0) {
-      // 有效视频，不管备份存不存在，都是左边存入
-      updates[media.bvid] = media;
-    } else {
-      // 失效视频，只有备份存在，才右边存入
-      if (allBackedupMedias[media.bvid]) {
-        updates[media.bvid] = allBackedupMedias[media.bvid];
-      }
-      invalidIds.add(media.bvid);
-    }
-  }
+  return mediaList;
+}
+
+
+/**
+ * 全量备份单个合集 (所有视频)，逻辑同 backupOneFavFull
+ * 
+ * @param {number} mid 用户ID
+ * @param {number} favId 合集在备份数据中的收藏夹ID (见 seasonFolderId)
+ * @param {Function} [onPage] 见 backupOneFavFull
+ * @param {Object} [resumeFrom] 见 backupOneFavFull
+ * @returns {Promise<Array<Object>>} 新发现失效的已备份视频
+ * @throws {Error} API响应格式异常
+ */
+const backupOneSeasonFull = async (mid, favId, onPage, resumeFrom) => {
+  const mediaList = await fetchFolderMedias((page) => fetchSeasonMediaPage(favId, page), onPage, resumeFrom);
+  return await saveFolderFull(mid, favId, mediaList);
+}
 
-  const updatedFavs = {
-    ...backedUpFavs,   // 其他收藏夹保持不变
-    [favId]: updates,  // 当前收藏夹整个替换
+/**
+ * 增量备份单个合集
+ * 
+ * 合集没有获取所有视频ID的接口，但分页请求的响应中已经包含了视频信息，不需要再单独查询，
+ * 所以同样分页获取所有视频，但只新增未备份的视频，不更新、不删除已有备份 (与 backupOneFavIncr 相同)
+ * 
+ * @param {number} mid 用户ID
+ * @param {number} favId 合集在备份数据中的收藏夹ID (见 seasonFolderId)
+ * @returns {Promise<Array<Object>>} 新发现失效的已备份视频
+ * @throws {Error} API响应格式异常
+ */
+const backupOneSeasonIncr = async (mid, favId) => {
+  return await saveNewMedias(mid, favId, await fetchFolderMedias((page) => fetchSeasonMediaPage(favId, page)));
+}
+
+/**
+ * 增量保存已经获取到完整信息的视频列表: 只新增未备份的视频，已有的备份保持不变 (只检查是否新失效)
+ * 
+ * @param {number} mid 用户ID
+ * @param {number|string} favId 收藏夹ID
+ * @param {Array<Object>} mediaList 收藏夹中的所有视频，格式同 fetchFolderMedias
+ * @returns {Promise<Array<Object>>} 新发现失效的已备份视频
+ */
+const saveNewMedias = async (mid, favId, mediaList) => {
+  const allIds = mediaList.map(media => media.bvid);
+  const knownVideos = await getVideos(allIds);
+
+  const newVideos = mediaList
+    .filter(media => !knownVideos[media.bvid])
+    .map(({ fav_time, ...media }) => media.status === VIDEO_STATUS_NORMAL ? media : { bvid: media.bvid, attr: media.attr, status: media.status });
+  const knownStatuses = Object.fromEntries(mediaList
+    .filter(media => knownVideos[media.bvid])
+    .map(media => [media.bvid, { attr: media.attr, status: media.status }]));
+  return await saveFolderIncr(mid, favId, allIds, newVideos, knownStatuses);
+}
+
+
+/**
+ * 获取稍后再看列表中的所有视频 (一次请求获取全部)
+ * 
+ * @returns {Promise<Array<Object>>} 所有视频，格式同 fetchFolderMedias
+ * @throws {Error} API响应格式异常
+ */
+const fetchWatchLaterMedias = async () => {
+  const res = await fetchFromExt(API_GET_WATCH_LATER);
+  if (res.code !== 0 || !res.data) {
+    throw new Error("API 响应格式异常，可能是接口发生变化");
   }
-  await chrome.storage.local.set({ 
-    [STORAGE_BACKUP_KEY]: updatedFavs,
-    [STORAGE_INVALID_IDS_KEY]: Array.from(invalidIds)
-  });
-};
+  const list = res.data.list || [];   // 稍后再看为空时 list = null
+  if (list.length === 0 && res.data.count > 0) {
+    throw new Error("稍后再看不为空但未获取到任何视频，可能是 API 异常");
+  }
+
+  // 参数含义见：https://socialsisteryi.github.io/bilibili-API-collect/docs/history&toview/toview.html
+  return list.map(item => ({
+    v: MEDIA_SCHEMA_VERSION,
+    bvid: item.bvid,
+    avid: item.aid,
+    title: item.title,
+    attr: attrFromStatus(statusFromState(item.state)),
+    status: statusFromState(item.state),   // 稿件状态: 大于等于 0 时可以正常观看，小于 0 时可以区分审核中、被锁定、up主自己删除
+    up: {
+      mid: item.owner?.mid,
+      name: item.owner?.name,
+    },
+    intro: item.desc,
+    cover: item.pic,
+    duration: item.duration,
+    page: item.videos,
+    pubtime: item.pubdate,
+    fav_time: item.add_at,   // 添加到稍后再看的时间 (秒级时间戳)
+    play: item.stat?.view,
+    like: item.stat?.like,
+  }));
+}
+
+/**
+ * 全量备份稍后再看 (逻辑同 backupOneFavFull)
+ * 
+ * @param {number} mid 用户ID
+ * @param {string} favId 稍后再看在备份数据中的收藏夹ID (见 watchLaterFolderId)
+ * @returns {Promise<Array<Object>>} 新发现失效的已备份视频
+ * @throws {Error} API响应格式异常
+ */
+const backupWatchLaterFull = async (mid, favId) => {
+  return await saveFolderFull(mid, favId, await fetchWatchLaterMedias());
+}
+
+/**
+ * 增量备份稍后再看: 只新增未备份的视频，不更新、不删除已有备份 (列表中已经包含了视频信息，不需要再单独查询)
+ * 
+ * @param {number} mid 用户ID
+ * @param {string} favId 稍后再看在备份数据中的收藏夹ID (见 watchLaterFolderId)
+ * @returns {Promise<Array<Object>>} 新发现失效的已备份视频
+ * @throws {Error} API响应格式异常
+ */
+const backupWatchLaterIncr = async (mid, favId) => {
+  return await saveNewMedias(mid, favId, await fetchWatchLaterMedias());
+}
 
 
 /**
@@ -503,45 +897,385 @@ const backupOneFavFull = async (favId) => {
  *     1. 新增收藏夹
  *     2. 删除收藏夹
  * 
- * @param {string} mid 用户ID
+ * @param {Object} job 备份任务
+ * @throws {RateLimitError} 被限流 (剩下的收藏夹不再备份)
  * @throws {Error} 部分收藏夹备份失败、未获取到收藏夹列表
  */
-const backupAllFavsFull = async (mid) => {
-  // 1. 获取最新的用户收藏夹列表
-  const favlist = await saveFavList(mid);   
-  if (favlist === undefined) {
-    throw new Error("未获取到收藏夹列表");
+const backupAllFavsFull = async (job) => {
+  // 0. 保存备份前的快照 (继续中断的任务时，使用任务开始时保存的快照)
+  if (!job.snapshotId) {
+    job.snapshotId = await createSnapshot(job.mid, SNAPSHOT_REASON_BACKUP);
+    await saveBackupJob(job);
   }
 
+  // 1. 获取最新的用户收藏夹列表
+  await loadJobFavlist(job);
+
   // 2. 检查是否有收藏夹被删除，如果被删除则不再保留其备份数据
-  const { [STORAGE_BACKUP_KEY]: backedUpFavs = {} } = await chrome.storage.local.get([STORAGE_BACKUP_KEY]);
-  for (const favId of Object.keys(backedUpFavs)) {
-    if (!favlist.some(fav => fav.id === parseInt(favId))) {
-      delete backedUpFavs[favId];
+  await deleteMissingFolders(job.mid, job.favlist.map(fav => fav.id));
+
+  // 3. 全量备份每个收藏夹
+  await backupJobFavs(job, true);
+
+  //    和备份前的快照比较，删除的记录过多时回滚到快照，等待用户确认
+  await checkAgainstSnapshot(job.mid, job.snapshotId);
+
+  //    清理不在任何收藏夹中的视频 (取消收藏、收藏夹被删除)，备份失败的收藏夹仍保留原有的对应关系，不会被误删
+  await sweepOrphanVideos();
+  if (job.errorCount > 0) {
+    throw new Error(`有 ${job.errorCount} 个收藏夹全量备份失败`);
+  }
+
+  // 4. 全量备份成功后更新时间戳
+  await setAccountStorage(job.mid, { [STORAGE_LAST_FULL_BACKUP_TIME]: Date.now() }); 
+
+  // 注意下面这种写法可能会因为并发过高触发限流，导致请求失败。任何一个请求失败，Promise.all就不会再继续执行剩下的任务，导致数据不全
+  // const tasks = favlist.map(fav => backupFavMedias(fav.id, fav.title));
+  // await Promise.all(tasks);
+}
+
+
+
+/**
+ * 补充备份数据中缺少的点赞数和标签
+ * 
+ * 每次最多补充设置中 enrichLimit 个视频 (每个视频需要单独发送一次请求)，剩下的留到下一次备份时再补充
+ * 已失效的视频无法再获取，跳过
+ * 
+ * @param {number} mid 用户ID
+ */
+const enrichBackup = async (mid) => {
+  const { enrichLimit } = await getSettings();
+  if (!enrichLimit) return;
+
+  // 1. 找出缺少标签的有效视频
+  const { videos } = await getAccountVideos(mid);
+  const targets = Object.values(videos)
+    .filter(video => isBackedUp(video) && !video.invalid && video.tags === undefined)
+    .map(video => video.bvid)
+    .slice(0, enrichLimit);
+  if (targets.length === 0) return;
+
+  // 2. 逐个获取点赞数和标签
+  const details = {};
+  for (const [index, bvid] of targets.entries()) {
+    updateProgress({ done: index, total: targets.length, current: "补充视频详细信息" });
+    try {
+      const detail = await getMediaDetail(bvid);
+      if (detail) details[bvid] = detail;
+    } catch (err) {
+      // 被限流时剩下的视频留到下一次备份时再补充 (补充信息不是必须的，不需要暂停备份任务)
+      if (err instanceof RateLimitError) {
+        console.warn("补充视频详细信息时被限流:", err);
+        break;
+      }
+      console.error(`获取视频 ${bvid} 的标签失败:`, err);
     }
   }
-  await chrome.storage.local.set({ [STORAGE_BACKUP_KEY]: backedUpFavs });
 
-  // 3. 全量备份每个收藏夹
-  let errorCount = 0;
-  for (const fav of favlist) {
+  // 3. 只修改补充的字段
+  await updateVideos(details);
+}
+
+/**
+ * 重新检查已失效的视频，发现恢复了的视频 (审核通过、重新公开等) 时更新备份
+ * 
+ * 增量备份会跳过已知的失效视频，收藏夹列表中也看不出具体的失效原因，所以定期用获取单个视频信息的接口重新检查:
+ *   - 距离上次检查超过设置中的 recheckInterval 天的失效视频，按上次检查的时间排序，每次最多检查 recheckLimit 个
+ *   - 恢复了的视频 -> 更新备份，记录变更历史 (见 saveRecheckedVideos)
+ *   - 仍然失效的视频 -> 记录更具体的失效原因 (仅up主可见、审核中等)
+ * 
+ * @param {number} mid 用户ID
+ */
+const recheckInvalidVideos = async (mid) => {
+  const { recheckInterval, recheckLimit } = await getSettings();
+  if (!recheckLimit) return;
+
+  // 1. 找出需要重新检查的失效视频
+  const before = Date.now() - recheckInterval * 24 * 60 * 60 * 1000;
+  const { videos } = await getAccountVideos(mid);
+  const targets = Object.values(videos)
+    .filter(video => video.invalid && (video.recheckedAt ?? 0) < before)
+    .sort((a, b) => (a.recheckedAt ?? 0) - (b.recheckedAt ?? 0))
+    .map(video => video.bvid)
+    .slice(0, recheckLimit);
+  if (targets.length === 0) return;
+
+  // 2. 逐个获取视频信息
+  const results = {};
+  for (const [index, bvid] of targets.entries()) {
+    updateProgress({ done: index, total: targets.length, current: "重新检查失效视频" });
     try {
-      await backupOneFavFull(fav.id);
+      const info = await getMediaInfo(bvid);
+      results[bvid] = info.status === VIDEO_STATUS_NORMAL ? { status: info.status, info } : { status: info.status };
     } catch (err) {
-      errorCount += 1;
-      console.error(`收藏夹 ${fav.title} (${fav.id}) 全量备份失败:`, err);
+      // 被限流时剩下的视频留到下一次备份时再检查 (同 enrichBackup)
+      if (err instanceof RateLimitError) {
+        console.warn("重新检查失效视频时被限流:", err);
+        break;
+      }
+      console.error(`重新检查视频 ${bvid} 失败:`, err);
     }
   }
-  if (errorCount > 0) {
-    throw new Error(`有 ${errorCount} 个收藏夹全量备份失败`);
+
+  // 3. 保存检查结果
+  await saveRecheckedVideos(mid, results);
+}
+
+
+
+/**
+ * 正在执行的备份任务，用于在插件弹窗中展示进度，同时防止重复执行
+ * 
+ * { mode, trigger, mid, startedAt, done, total, current }
+ */
+let currentRun = null;
+
+/**
+ * 更新备份进度，并通知打开着的插件页面 (如插件弹窗)
+ * 
+ * @param {Object} progress - 进度信息 { done: 已完成的收藏夹个数, total: 收藏夹总数, current: 正在备份的收藏夹 }
+ */
+const updateProgress = (progress) => {
+  if (!currentRun) return;
+  Object.assign(currentRun, progress);
+  // 没有打开任何插件页面时会报错 "Receiving end does not exist"，直接忽略
+  chrome.runtime.sendMessage({ type: "backupProgress", data: currentRun }).catch(() => {});
+}
+
+/**
+ * 被限流时暂停备份任务，等待设置中的 rateLimitPause 后从检查点继续
+ * 
+ * @param {Object} job - 暂停的备份任务
+ */
+const pauseBackup = async (job) => {
+  const { rateLimitPause } = await getSettings();
+  job.pausedUntil = Date.now() + rateLimitPause * 60 * 1000;
+  await saveBackupJob(job);
+  await chrome.alarms.create(ALARM_RESUME_BACKUP, { when: job.pausedUntil });
+}
+
+/**
+ * 执行一次备份任务，并记录执行结果 (由 drainBackupQueue 依次调用，不要直接调用)
+ * 
+ * 如果有之前中断 (service worker 被回收) 或被限流暂停的备份任务，先从检查点继续执行这个任务，忽略 mode 参数
+ * (切换了账号时放弃之前账号的任务)
+ * 
+ * @param {string} mode - 备份方式
+ *   - full: 全量备份
+ *   - incr: 增量备份
+ *   - auto: 距离上一次全量备份的时间间隔超过设置中的 fullBackupInterval 时执行全量备份，否则执行增量备份
+ * @param {string} trigger - 触发方式 install | startup | alarm | manual | resume
+ * @throws {RateLimitError} 被限流 (备份任务已暂停，稍后自动继续)
+ * @throws {Error} 已有备份任务正在执行、备份失败
+ */
+const runBackup = async (mode, trigger) => {
+  if (currentRun) {
+    throw new Error("已有备份任务正在执行");
   }
+  currentRun = { mode, trigger, mid: undefined, startedAt: Date.now(), done: 0, total: 0, current: null };
+  updateProgress({});
 
-  // 4. 全量备份成功后更新时间戳
-  await chrome.storage.local.set({ [STORAGE_LAST_FULL_BACKUP_TIME]: Date.now() }); 
+  let job = null;
+  let error = null;
+  try {
+    job = await getBackupJob() ?? createBackupJob(mode, trigger);
+    await chrome.alarms.clear(ALARM_RESUME_BACKUP);
+    await ensureStorageMigrated();
+    const mid = await saveMid();   // 获取当前用户ID
 
-  // 注意下面这种写法可能会因为并发过高触发限流，导致请求失败。任何一个请求失败，Promise.all就不会再继续执行剩下的任务，导致数据不全
-  // const tasks = favlist.map(fav => backupFavMedias(fav.id, fav.title));
-  // await Promise.all(tasks);
+    if (job.mid !== mid) {
+      // 新的备份任务，或者切换了账号
+      job = createBackupJob(job.mid === undefined ? job.mode : mode, trigger);
+      job.mid = mid;
+      if (job.mode === "auto") {
+        const { [STORAGE_LAST_FULL_BACKUP_TIME]: lastFullBackupTime = 0 } = 
+        await getAccountStorage(mid, [STORAGE_LAST_FULL_BACKUP_TIME]);
+        const { fullBackupInterval } = await getSettings();
+        job.mode = Date.now() - lastFullBackupTime >= fullBackupInterval * 60 * 60 * 1000 ? "full" : "incr";
+      }
+    }
+    job.pausedUntil = null;
+    await saveBackupJob(job);
+    Object.assign(currentRun, { mode: job.mode, mid, startedAt: job.startedAt });
+
+    if (job.mode === "full") {
+      await backupAllFavsFull(job);
+    } else {
+      await backupAllFavsIncr(job);
+    }
+    await enrichBackup(mid);   // 补充点赞数和标签
+    await recheckInvalidVideos(mid);   // 重新检查失效视频是否恢复了
+
+    const { archiveRetention } = await getSettings();
+    await purgeArchive(archiveRetention);   // 清理超过保留时间的归档
+    if (job.mode === "full") {
+      await evictCovers();     // 清理取消收藏、且不在归档中的视频的封面
+    }
+    await archiveCovers(mid);  // 存档新备份的视频的封面
+    await syncAfterBackup(mid);   // 推送到 WebDAV 服务器 (没有配置时跳过)
+  } catch (err) {
+    error = err;
+    if (err instanceof RateLimitError) {
+      await pauseBackup(job).catch(pauseErr => console.error(pauseErr));
+    }
+    throw err;
+  } finally {
+    // 暂停的任务保留检查点，其他情况 (包括备份失败) 任务结束
+    const finished = job && !job.pausedUntil;
+    if (finished) {
+      await clearBackupJob();
+    }
+
+    const { mode, mid, startedAt } = currentRun;
+    await chrome.storage.local.set({
+      [STORAGE_LAST_RUN_KEY]: {
+        mode, trigger, mid, startedAt,
+        finishedAt: Date.now(),
+        error: error?.message || null,   // 为 null 表示备份成功
+      }
+    });
+    currentRun = null;
+    chrome.runtime.sendMessage({ type: "backupProgress", data: null }).catch(() => {});
+
+    // 回滚了的备份只通知用户确认，其中新失效的视频已经作废，不再通知
+    // 部分收藏夹备份失败时，已经备份成功的收藏夹中新失效的视频也要通知
+    if (finished && error instanceof SnapshotHeldError) {
+      await notifySnapshotHeld(job.mid, error.diff).catch(err => console.error(err));
+    } else if (finished && job.mid !== undefined && job.invalidVideos.length > 0) {
+      await notifyInvalidVideos(job.mid, job.invalidVideos).catch(err => console.error(err));
+    }
+  }
+}
+
+/**
+ * 正在执行的备份队列，保证同一时间只有一个 drainBackupQueue 在执行 (service worker 只有一个实例，内存中的锁就足够了)
+ */
+let queueDrain = null;
+
+/**
+ * 执行一个备份请求，并记录执行历史
+ * 
+ * @param {Object} request - 备份请求 { mode, triggers, requestedAt }
+ */
+const executeBackupRequest = async (request) => {
+  const startedAt = Date.now();
+  let error = null;
+  try {
+    // 合并的请求中有手动执行的，作为手动执行
+    const trigger = request.triggers.includes("manual") ? "manual" : request.triggers[0];
+    await runBackup(request.mode, trigger);
+  } catch (err) {
+    error = err;
+    console.error(err);
+  }
+  await addQueueHistory({
+    ...request,
+    startedAt,
+    finishedAt: Date.now(),
+    status: error instanceof RateLimitError ? "paused" : error ? "error" : "success",
+    error: error?.message || null,
+  });
+}
+
+/**
+ * 依次执行队列中的备份请求，直到队列为空
+ * 
+ * 有未完成的备份任务时，先从检查点继续这个任务，队列中能被它覆盖的请求 (见 coversBackupMode) 随之完成
+ * 任务被限流暂停期间不执行队列中的请求 (手动执行的请求除外)，等待暂停结束 (ALARM_RESUME_BACKUP) 后继续
+ * 
+ * @returns {Promise<void>} 队列执行完 (或暂停) 时 resolve
+ */
+const drainBackupQueue = () => {
+  queueDrain ??= (async () => {
+    try {
+      while (true) {
+        const job = await getBackupJob();
+        if (job) {
+          // 每个手动执行的请求只能提前结束一次暂停，避免继续后再次被限流时反复重试
+          const isManual = request => request.triggers.includes("manual") && !request.liftedPause;
+          const paused = job.pausedUntil > Date.now();
+          if (paused && !(await getBackupQueue()).some(isManual)) break;
+
+          const covered = await updateBackupQueue((queue) => {
+            if (paused) queue.filter(isManual).forEach(request => { request.liftedPause = true; });
+            const covered = queue.filter(request => coversBackupMode(job.mode, request.mode));
+            queue.splice(0, queue.length, ...queue.filter(request => !covered.includes(request)));
+            return covered;
+          });
+          await executeBackupRequest({
+            mode: job.mode,
+            triggers: ["resume", ...covered.flatMap(request => request.triggers)],
+            requestedAt: job.startedAt,
+          });
+          continue;
+        }
+
+        const request = await updateBackupQueue(queue => queue.shift());
+        if (!request) break;
+        await executeBackupRequest(request);
+      }
+    } finally {
+      queueDrain = null;
+    }
+  })();
+  return queueDrain;
+}
+
+/**
+ * 请求执行一次备份: 加入队列后开始执行队列 (不等待备份完成)
+ * 
+ * @param {string} mode - 备份方式 full | incr | auto，见 runBackup
+ * @param {string} trigger - 触发方式 install | startup | alarm | manual | confirm | restore
+ * @returns {Promise<boolean>} 是否合并到了排队中的请求
+ */
+const requestBackup = async (mode, trigger) => {
+  const merged = await enqueueBackupRequest(mode, trigger);
+  drainBackupQueue().catch(err => console.error(err));
+  return merged;
+}
+
+/**
+ * 获取备份状态，用于在插件弹窗中展示
+ * 
+ * @returns {Promise<Object>} 备份状态
+ */
+const getBackupStatus = async () => {
+  const { 
+    [STORAGE_MID_KEY]: mid,
+    [STORAGE_LAST_RUN_KEY]: lastRun = null,
+    [STORAGE_JOB_KEY]: backupJob = null,
+    [STORAGE_QUEUE_KEY]: queue = [],
+  } = await chrome.storage.local.get([STORAGE_MID_KEY, STORAGE_LAST_RUN_KEY, STORAGE_JOB_KEY, STORAGE_QUEUE_KEY]);
+  // 没有在执行的、未完成的备份任务 (被限流暂停，或者中断后还没有继续)
+  const job = backupJob && !currentRun ? {
+    mode: backupJob.mode,
+    done: backupJob.done.length,
+    total: backupJob.favlist?.length ?? 0,
+    pausedUntil: backupJob.pausedUntil,
+  } : null;
+  if (mid === undefined) {
+    return { mid, lastRun, job, queue, running: currentRun, folders: [] };
+  }
+
+  const {
+    [STORAGE_PROFILE_KEY]: profile,
+    [STORAGE_LAST_FULL_BACKUP_TIME]: lastFullBackupTime,
+  } = await getAccountStorage(mid, [STORAGE_PROFILE_KEY, STORAGE_LAST_FULL_BACKUP_TIME]);
+  const favlist = await getFolders(mid);
+  const favStats = await getFolderStats(mid);
+
+  return {
+    mid,
+    name: profile?.name,
+    lastFullBackupTime,
+    lastRun,
+    job,
+    queue,
+    running: currentRun,
+    heldSnapshot: await getHeldSnapshot(mid) ?? null,   // 被回滚、等待确认的全量备份
+    folders: favlist.map(fav => ({ id: fav.id, title: fav.title, cnt: fav.cnt, type: fav.type, up: fav.up, stats: favStats[fav.id] || null })),
+  };
 }
 
 
@@ -550,16 +1284,17 @@ const backupAllFavsFull = async (mid) => {
  * 限定自动备份的时机:
  *     chrome.runtime.onInstalled: 安装或更新插件
  *     chrome.runtime.onStartup: 使用某个 user profile 启动浏览器
- *     chrome.alarms.onAlarm: 插件运行期间 定期执行增量备份
+ *     chrome.alarms.onAlarm: 插件运行期间 定期执行增量备份、被限流暂停后继续备份
+ *     chrome.runtime.onMessage: 打开插件页面时，继续之前因 service worker 被回收而中断的备份任务
  * 
  * 否则从 idle 中唤醒变为 active 也会执行一次
  * 参考: https://developer.chrome.com/docs/extensions/develop/concepts/service-workers/lifecycle
  */
 chrome.runtime.onInstalled.addListener(async () => {
   try {
-    const mid = await saveMid();   // 获取当前用户ID
-    await backupAllFavsFull(mid);  // 全量备份所有收藏夹
-    await createIncrBackupAlarm(); // 定期增量备份
+    await ensureStorageMigrated();         // 迁移旧版本的备份数据
+    await requestBackup("full", "install");    // 全量备份所有收藏夹
+    await createIncrBackupAlarm();         // 定期增量备份
   } catch (err) {
     console.error(err);
   }
@@ -567,18 +1302,11 @@ chrome.runtime.onInstalled.addListener(async () => {
 
 chrome.runtime.onStartup.addListener(async () => {
   try {
-    // 获取当前用户ID、获取上次全量备份的时间
-    const mid = await saveMid(); 
-    const { [STORAGE_LAST_FULL_BACKUP_TIME]: lastFullBackupTime = 0 } = 
-    await chrome.storage.local.get([STORAGE_LAST_FULL_BACKUP_TIME]);
-
-    const now = Date.now();
-    if (now - lastFullBackupTime >= FULL_BACKUP_INTERVAL) {
-      await backupAllFavsFull(mid);
-    } else {
-      await backupAllFavsIncr(mid);
-    }
-
+    // 先合并其他设备推送到 WebDAV 服务器的备份 (没有配置时跳过)
+    await ensureStorageMigrated();
+    await syncOnStartup();
+    // 根据上次全量备份的时间，决定执行全量备份还是增量备份 (有中断的备份任务时，先继续执行中断的任务)
+    await requestBackup("auto", "startup");
     await createIncrBackupAlarm(); // 定期增量备份
   } catch (err) {
     console.error(err);
@@ -587,26 +1315,173 @@ chrome.runtime.onStartup.addListener(async () => {
 
 const createIncrBackupAlarm = async () => {
   // 创建定时任务，如果已存在则覆盖并重新开始计时
+  const { incrBackupInterval } = await getSettings();
   await chrome.alarms.create('IncrBackup', {
-    periodInMinutes: INCR_BACKUP_INTERVAL 
+    periodInMinutes: incrBackupInterval 
   });
 }
 
+// 修改了增量备份的时间间隔后，重新创建定时任务
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  const change = changes[STORAGE_SETTINGS_KEY];
+  if (areaName !== "local" || !change) return;
+  if (change.oldValue?.incrBackupInterval === change.newValue?.incrBackupInterval) return;
+
+  try {
+    await createIncrBackupAlarm();
+  } catch (err) {
+    console.error(err);
+  }
+});
+
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === "IncrBackup") {
     const timeDiff = Date.now() - alarm.scheduledTime;
-    const isMissedAlarm = timeDiff > ALARM_TIMEOUT;
+    const { alarmTimeout } = await getSettings();
+    const isMissedAlarm = timeDiff > alarmTimeout * 60 * 1000;
 
     if (isMissedAlarm) {
       // console.log(`跳过当前 Alarm, 预定时间与当前时间相差 ${Math.floor(timeDiff / 1000 / 60)} 分钟`);
       return;
     }
-    
+
     try {
-      const mid = await saveMid(); 
-      await backupAllFavsIncr(mid);
+      // 被限流暂停期间在队列中等待，暂停结束后继续
+      await requestBackup("incr", "alarm");
     } catch (err) {
       console.error(err);
     }
   }
+
+  if (alarm.name === ALARM_RESUME_BACKUP) {
+    try {
+      await drainBackupQueue();
+    } catch (err) {
+      console.error(err);
+    }
+  }
+});
+
+
+
+/**
+ * 处理来自插件页面 (如选项页) 的消息
+ * 
+ * 消息格式: { type: 处理函数名, ...参数 }
+ * 响应格式: { ok: true, data: 处理结果 } 或 { ok: false, error: 错误信息 }
+ */
+const messageHandlers = {
+  // 获取所有备份过的账号，以及当前登录的账号
+  getAccounts: async () => {
+    const { 
+      [STORAGE_ACCOUNTS_KEY]: accounts = [],
+      [STORAGE_MID_KEY]: mid,
+    } = await chrome.storage.local.get([STORAGE_ACCOUNTS_KEY, STORAGE_MID_KEY]);
+    return { accounts, mid };
+  },
+  // 导出备份数据
+  exportBackup: ({ mid, format }) => exportBackup(Number(mid), format),
+  // 导入备份数据
+  importBackup: ({ text }) => importBackup(text),
+  // 获取备份状态
+  getBackupStatus: () => getBackupStatus(),
+  // 获取设置，以及每一项设置的默认值和取值范围
+  getSettings: async () => ({ settings: await getSettings(), definitions: SETTING_DEFINITIONS }),
+  // 保存设置
+  saveSettings: ({ settings }) => saveSettings(settings),
+  // 搜索备份数据
+  searchBackup: ({ query, status }) => searchBackup(String(query ?? ""), status),
+  // 获取某个账号的变更历史
+  getHistory: ({ mid }) => getHistory(Number(mid)),
+  // 获取当前账号每个收藏夹是否开启了失效通知
+  getNotifyFolders: async () => {
+    const { [STORAGE_MID_KEY]: mid } = await chrome.storage.local.get([STORAGE_MID_KEY]);
+    if (mid === undefined) return { mid, folders: [] };
+    const favlist = await getFolders(mid);
+    const muted = await getMutedFolders(mid);
+    return { mid, folders: favlist.map(fav => ({ id: fav.id, title: fav.title, muted: muted.includes(fav.id) })) };
+  },
+  // 打开或关闭某个收藏夹的失效通知
+  setFolderMuted: ({ mid, favId, muted }) => setFolderMuted(Number(mid), parseFolderId(favId), !!muted),
+  // 获取某个账号的归档，以及可以恢复到的收藏夹
+  getArchive: async ({ mid }) => ({
+    entries: await getArchive(Number(mid)),
+    folders: await getFolders(Number(mid)),
+  }),
+  // 把归档中的视频恢复到某个收藏夹的备份中
+  restoreArchived: ({ mid, favId, bvid, targetFavId }) => restoreArchived(Number(mid), parseFolderId(favId), bvid, parseFolderId(targetFavId)),
+  // 获取某个账号被删除的收藏夹
+  getDeletedFolders: async ({ mid }) => ({ folders: await getDeletedFolders(Number(mid)) }),
+  // 在B站上重新创建被删除的收藏夹 (dryRun 为 true 时只预览)
+  restoreDeletedFolder: ({ mid, id, dryRun }) => restoreDeletedFolder(Number(mid), Number(id), !!dryRun),
+  // 从B站收藏夹中清理已备份的失效视频 (dryRun 为 true 时只预览，备份过程中不能清理，否则正在执行的备份会把它们写回备份中)
+  cleanInvalidVideos: async ({ mid, favId, dryRun }) => {
+    if (!dryRun && (currentRun || await getBackupJob())) {
+      throw new Error("正在备份，请等备份完成后再清理");
+    }
+    return cleanInvalidVideos(Number(mid), parseFolderId(favId), !!dryRun);
+  },
+  // 查询收藏夹页面上失效视频的备份 (来自 content.js，在线查询到的标题之后通过 resolvedMediaBackups 消息发送)
+  getInvalidMediaBackups: ({ medias, favId, mid }, sender) => getInvalidMediaBackups(
+    Array.isArray(medias) ? medias : [], favId ?? null, Number(mid) > 0 ? Number(mid) : undefined,
+    sender.tab && { tabId: sender.tab.id, frameId: sender.frameId },
+  ),
+  // 获取封面存档的统计数据
+  getCoverStats: () => getCoverStats(),
+  // 手动执行备份，加入队列后不等待备份完成，进度通过 backupProgress 消息通知
+  startBackup: async ({ mode }) => ({ merged: await requestBackup(mode === "full" ? "full" : "incr", "manual") }),
+  // 获取失效视频标题的来源配置和统计数据
+  getTitleResolvers: async () => ({ resolvers: await getTitleResolvers(), stats: await getTitleStats() }),
+  // 保存失效视频标题的来源配置
+  saveTitleResolvers: ({ resolvers }) => saveTitleResolvers(resolvers || {}),
+  // 导入其他来源的视频标题 (JSON / CSV)
+  importTitleDump: ({ text, filename }) => importTitleDump(String(text || ""), String(filename || "")),
+  // 清除导入的标题或在线查询的结果
+  clearTitleSource: async ({ kind }) => ({ removed: await clearTitleSource(kind) }),
+  // 获取 WebDAV 配置和同步状态
+  getWebdavSync: async () => ({ config: await getWebdavConfig(), state: await getWebdavState() }),
+  // 保存 WebDAV 配置
+  saveWebdavSync: ({ config }) => saveWebdavConfig(config || {}),
+  // 立即同步: 拉取合并所有账号的备份，再推送当前账号的备份
+  syncWebdavNow: async () => {
+    const { [STORAGE_MID_KEY]: mid } = await chrome.storage.local.get([STORAGE_MID_KEY]);
+    return syncWebdavNow(mid);
+  },
+  // 获取所有账号的备份快照
+  getSnapshots: async () => ({ snapshots: await getSnapshots() }),
+  // 确认快照中被回滚的删除，重新执行全量备份
+  confirmSnapshot: async ({ id }) => ({ merged: await confirmSnapshot(Number(id)) }),
+  // 不确认删除，保持回滚后的备份
+  dismissSnapshot: ({ id }) => dismissSnapshot(Number(id)),
+  // 把备份恢复为快照中的数据 (备份过程中不能恢复，否则会被正在执行的备份覆盖)
+  restoreSnapshot: async ({ id }) => {
+    if (currentRun || await getBackupJob()) {
+      throw new Error("正在备份，请等备份完成后再恢复");
+    }
+    return { beforeId: await restoreSnapshot(Number(id)) };
+  },
+  // 获取备份队列的状态和执行历史，用于排查问题
+  getBackupQueue: async () => ({
+    running: currentRun,
+    job: await getBackupJob(),
+    queue: await getBackupQueue(),
+    history: await getQueueHistory(),
+  }),
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handler = messageHandlers[message?.type];
+  if (!handler) return false;
+
+  // service worker 被唤醒，继续之前中断的备份任务和队列中的请求 (不等待备份完成)
+  drainBackupQueue().catch(err => console.error(err));
+
+  ensureStorageMigrated()
+    .then(() => handler(message, sender))
+    .then(data => sendResponse({ ok: true, data }))
+    .catch(err => {
+      console.error(err);
+      sendResponse({ ok: false, error: err.message });
+    });
+  return true;   // 异步调用 sendResponse
 });
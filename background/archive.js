@@ -0,0 +1,141 @@
+/**
+ * background/archive.js
+ *
+ * 归档: 取消收藏、收藏夹被删除时，不直接丢弃视频的备份，而是移到归档中保留一段时间 (设置中的 archiveRetention)
+ *   - 每个收藏夹中的每个视频一条归档记录，保存当时完整的视频备份和收藏时间
+ *   - 视频重新出现在收藏夹中、但已经失效时，自动从归档中找回备份 (比如误取消收藏后又重新收藏)
+ *   - 可以在归档页面中手动把视频恢复到某个收藏夹的备份中
+ *   - 超过保留时间的归档记录在每次备份结束时清理 (被删除的收藏夹的信息也一样，见 deleted_folders)
+ *   - 从B站收藏夹中清理掉的失效视频 (见 background/folder-clean.js) 永久保留，不会被清理，
+ *     之后重新收藏、再次归档时也保留原来的归档原因
+ */
+
+
+const ARCHIVE_REASON_UNFAVORITED = "unfavorited";        // 取消收藏
+const ARCHIVE_REASON_FOLDER_DELETED = "folder-deleted";  // 收藏夹被删除
+const ARCHIVE_REASON_CLEANED = "cleaned";                // 从收藏夹中清理的失效视频 (永久保留)
+
+
+/**
+ * 在备份的事务中，把收藏夹中的一个视频移到归档中 (没有备份、只有从其他来源查到的标题的视频不需要归档)
+ *
+ * 已经有清理的失效视频的归档记录时保留 ARCHIVE_REASON_CLEANED，否则会在超过保留时间后被清理
+ *
+ * @param {IDBTransaction} transaction - 包含 archive 的读写事务
+ * @param {Object} membership - 收藏夹与视频的对应关系 { favId, bvid, mid, fav_time }
+ * @param {Object} folder - 收藏夹信息 { id, title }
+ * @param {Object} [video] - 视频记录
+ * @param {string} reason - 归档原因 ARCHIVE_REASON_*
+ */
+const archiveMembership = async (transaction, membership, folder, video, reason) => {
+  if (!hasOwnBackup(video)) return;
+  const store = transaction.objectStore(DB_STORE_ARCHIVE);
+  const existing = await promisifyRequest(store.get([membership.favId, membership.bvid]));
+  store.put({
+    favId: membership.favId,
+    bvid: membership.bvid,
+    mid: membership.mid,
+    favTitle: folder.title,
+    fav_time: membership.fav_time,
+    video,
+    reason: existing?.reason === ARCHIVE_REASON_CLEANED ? ARCHIVE_REASON_CLEANED : reason,
+    archivedAt: Date.now(),
+  });
+}
+
+/**
+ * 在备份的事务中，视频重新收藏到原来的收藏夹中时，删除它的归档记录 (清理的失效视频的归档记录永久保留)
+ *
+ * @param {IDBTransaction} transaction - 包含 archive 的读写事务
+ * @param {number} favId - 收藏夹ID
+ * @param {string} bvid - 视频的BV号
+ */
+const unarchiveMembership = async (transaction, favId, bvid) => {
+  const store = transaction.objectStore(DB_STORE_ARCHIVE);
+  const existing = await promisifyRequest(store.get([favId, bvid]));
+  if (existing && existing.reason !== ARCHIVE_REASON_CLEANED) store.delete([favId, bvid]);
+}
+
+/**
+ * 在备份的事务中，从归档中查找视频的备份 (同一个视频可能在多个收藏夹中被归档，使用最近一次归档的备份)
+ *
+ * @param {IDBTransaction} transaction - 包含 archive 的事务
+ * @param {string} bvid - 视频的BV号
+ * @returns {Promise<Object|undefined>} 视频备份
+ */
+const findArchivedVideo = async (transaction, bvid) => {
+  const entries = await promisifyRequest(transaction.objectStore(DB_STORE_ARCHIVE).index("bvid").getAll(bvid));
+  return entries.sort((a, b) => b.archivedAt - a.archivedAt)[0]?.video;
+}
+
+/**
+ * 批量从归档中查找视频的备份
+ *
+ * @param {string[]} bvids - 视频的BV号列表
+ * @returns {Promise<Object>} bvid -> 视频备份 (没有归档的视频不包含在结果中)
+ */
+const getArchivedVideos = (bvids) => runTransaction(DB_STORE_ARCHIVE, "readonly", async (transaction) => {
+  const videos = await Promise.all(bvids.map(bvid => findArchivedVideo(transaction, bvid)));
+  return Object.fromEntries(videos.filter(Boolean).map(video => [video.bvid, video]));
+});
+
+/**
+ * 获取某个账号的所有归档记录，按归档时间倒序排列
+ *
+ * @param {number} mid - 用户ID
+ * @returns {Promise<Array<Object>>} 归档记录
+ */
+const getArchive = (mid) => runTransaction(DB_STORE_ARCHIVE, "readonly", async (transaction) => {
+  const entries = await promisifyRequest(transaction.objectStore(DB_STORE_ARCHIVE).index("mid").getAll(mid));
+  return entries.sort((a, b) => b.archivedAt - a.archivedAt);
+});
+
+/**
+ * 把归档中的视频恢复到某个收藏夹的备份中，并删除归档记录
+ *
+ * 注意: 只恢复插件中的备份，不会在B站上重新收藏。如果B站收藏夹中没有这个视频，下一次全量备份时会再次归档
+ *
+ * @param {number} mid - 用户ID
+ * @param {number} favId - 归档记录所属的收藏夹ID
+ * @param {string} bvid - 视频的BV号
+ * @param {number} targetFavId - 恢复到哪个收藏夹 (必须是该账号现有的收藏夹)
+ * @throws {Error} 归档记录不存在、目标收藏夹不存在
+ */
+const restoreArchived = (mid, favId, bvid, targetFavId) => runTransaction([DB_STORE_ARCHIVE, DB_STORE_VIDEOS, DB_STORE_MEMBERSHIPS, DB_STORE_FOLDERS], "readwrite", async (transaction) => {
+  const archiveStore = transaction.objectStore(DB_STORE_ARCHIVE);
+  const entry = await promisifyRequest(archiveStore.get([favId, bvid]));
+  if (!entry || entry.mid !== mid) {
+    throw new Error("归档记录不存在");
+  }
+  const folder = await promisifyRequest(transaction.objectStore(DB_STORE_FOLDERS).get(targetFavId));
+  if (!folder || folder.mid !== mid) {
+    throw new Error("要恢复到的收藏夹不存在");
+  }
+
+  // 已有备份时保留现有的备份 (可能比归档中的更新)
+  const videoStore = transaction.objectStore(DB_STORE_VIDEOS);
+  if (!hasOwnBackup(await promisifyRequest(videoStore.get(bvid)))) {
+    videoStore.put(entry.video);
+  }
+  transaction.objectStore(DB_STORE_MEMBERSHIPS).put({ favId: targetFavId, bvid, mid, fav_time: entry.fav_time });
+  archiveStore.delete([favId, bvid]);
+});
+
+/**
+ * 清理超过保留时间的归档记录 (清理的失效视频除外)，以及被删除的收藏夹的信息
+ *
+ * @param {number} retentionDays - 保留天数
+ * @returns {Promise<number>} 清理的归档记录个数
+ */
+const purgeArchive = (retentionDays) => runTransaction([DB_STORE_ARCHIVE, DB_STORE_DELETED_FOLDERS], "readwrite", async (transaction) => {
+  const store = transaction.objectStore(DB_STORE_ARCHIVE);
+  const deadline = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const expired = await promisifyRequest(store.index("archivedAt").getAll(IDBKeyRange.upperBound(deadline)));
+  const keys = expired.filter(entry => entry.reason !== ARCHIVE_REASON_CLEANED).map(entry => [entry.favId, entry.bvid]);
+  keys.forEach(key => store.delete(key));
+
+  const folderStore = transaction.objectStore(DB_STORE_DELETED_FOLDERS);
+  const folderIds = await promisifyRequest(folderStore.index("deletedAt").getAllKeys(IDBKeyRange.upperBound(deadline)));
+  folderIds.forEach(id => folderStore.delete(id));
+  return keys.length;
+});
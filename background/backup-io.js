@@ -0,0 +1,284 @@
+/**
+ * background/backup-io.js
+ *
+ * 备份数据的导出与导入
+ *   - 导出: JSON (带版本号，可用于导入)、CSV (每行一个视频)、HTML 书签 (Netscape 格式，可直接导入浏览器)
+ *   - 导入: 只支持本插件导出的 JSON 文件，合并到对应账号的现有备份中
+ */
+
+
+// 导出文件的格式标识和版本号，导入时用来校验文件
+const EXPORT_FORMAT = "bilibili-fav-backup";
+const EXPORT_VERSION = 1;
+
+const VIDEO_URL_PREFIX = "https://www.bilibili.com/video/";
+
+
+/**
+ * 汇总某个账号的备份数据，作为各种导出格式的数据来源
+ *
+ * @param {number|string} mid - 用户ID
+ * @returns {Promise<Object>} 导出数据 (即 JSON 导出文件的内容)
+ */
+const buildExportData = async (mid) => {
+  const favlist = await getFolders(mid);
+  const { memberships, videos } = await getAccountVideos(mid);
+
+  // 按收藏夹分组，只导出有备份的视频 (不包括从其他来源查到标题的失效视频)
+  const membershipsByFolder = {};
+  for (const membership of memberships) {
+    (membershipsByFolder[membership.favId] ??= []).push(membership);
+  }
+
+  // 以收藏夹列表为准，列表中没有但存在备份的收藏夹也一并导出，避免遗漏
+  const folderInfos = [...favlist];
+  for (const favId of Object.keys(membershipsByFolder)) {
+    if (!folderInfos.some(fav => String(fav.id) === favId)) {
+      folderInfos.push({ id: parseFolderId(favId), title: "", cnt: undefined });
+    }
+  }
+
+  const folders = folderInfos.map(fav => ({
+    id: fav.id,
+    title: fav.title,
+    cnt: fav.cnt,
+    type: fav.type,   // 收藏夹类型 FOLDER_TYPE_* (合集的ID为负数)
+    attr: fav.attr,   // 公开/私密等，见 toFolderMeta
+    intro: fav.intro,
+    cover: fav.cover,
+    ctime: fav.ctime,
+    mtime: fav.mtime,
+    medias: (membershipsByFolder[fav.id] || [])
+      .filter(membership => hasOwnBackup(videos[membership.bvid]))
+      .sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity))   // 按收藏夹中的顺序
+      .map(membership => {
+        const { invalid, ...video } = videos[membership.bvid];
+        return {
+          ...video,
+          fav_time: membership.fav_time,   // 收藏时间 (每个收藏夹不同)
+          invalid: invalid === 1,          // 视频当前是否已失效
+        };
+      }),
+  }));
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: Date.now(),
+    mid,
+    folders,
+    invalid_ids: Object.values(videos).filter(video => video.invalid).map(video => video.bvid),
+    // 失效视频的具体状态 (仅up主可见、审核中的视频之后可能会恢复，导入后会重新检查)
+    invalid_statuses: Object.fromEntries(Object.values(videos).filter(video => video.invalid).map(video => [video.bvid, getVideoStatus(video)])),
+  };
+}
+
+
+/**
+ * CSV 字段转义: 包含逗号、引号、换行时用引号包裹，引号本身写两遍
+ *
+ * @param {*} value - 字段值
+ * @returns {string} 转义后的字段
+ */
+const escapeCsvField = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 秒级时间戳转换为 CSV 中的时间文本 (UTC，ISO 8601 格式)
+ *
+ * @param {number} [seconds] - 秒级时间戳
+ * @returns {string} 时间文本，时间戳为空时返回空字符串
+ */
+const formatCsvTime = (seconds) => seconds ? new Date(seconds * 1000).toISOString() : "";
+
+/**
+ * 转换为 CSV，每行一个视频 (同一个视频在多个收藏夹中会出现多行)
+ *
+ * @param {Object} data - buildExportData 的返回值
+ * @returns {string} CSV 文本 (带 BOM，方便 Excel 正确识别中文)
+ */
+const toCsv = (data) => {
+  const header = [
+    "收藏夹ID", "收藏夹名称", "BV号", "AV号", "标题", "UP主ID", "UP主名称", "是否失效", "状态",
+    "简介", "封面", "时长(秒)", "分P数", "发布时间", "收藏时间", "播放数", "点赞数", "标签",
+  ];
+  const rows = data.folders.flatMap(folder => folder.medias.map(media => [
+    folder.id,
+    folder.title,
+    media.bvid,
+    media.avid,
+    media.title,
+    media.up?.mid,
+    media.up?.name,
+    media.invalid ? "是" : "否",
+    VIDEO_STATUS_NAMES[getVideoStatus({ ...media, invalid: media.invalid ? 1 : 0 })],
+    media.intro,
+    media.cover,
+    media.duration,
+    media.page,
+    formatCsvTime(media.pubtime),
+    formatCsvTime(media.fav_time),
+    media.play,
+    media.like,
+    media.tags?.join(" "),
+  ]));
+  return "\uFEFF" + [header, ...rows].map(row => row.map(escapeCsvField).join(",")).join("\r\n");
+}
+
+
+/**
+ * HTML 转义
+ *
+ * @param {*} value - 文本
+ * @returns {string} 转义后的文本
+ */
+const escapeHtml = (value) => String(value ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+/**
+ * 转换为 Netscape 书签格式，每个收藏夹对应一个书签文件夹，失效视频的标题前会加上 [已失效]
+ *
+ * @param {Object} data - buildExportData 的返回值
+ * @returns {string} HTML 文本
+ */
+const toBookmarksHtml = (data) => {
+  const addDate = Math.floor(data.exported_at / 1000);
+  const folders = data.folders.map(folder => {
+    const links = folder.medias.map(media => {
+      const title = `${media.invalid ? "[已失效] " : ""}${media.title || media.bvid}`;
+      return `            <DT><A HREF="${VIDEO_URL_PREFIX}${escapeHtml(media.bvid)}" ADD_DATE="${addDate}">${escapeHtml(title)}</A>`;
+    });
+    return [
+      `        <DT><H3 ADD_DATE="${addDate}">${escapeHtml(folder.title || folder.id)}</H3>`,
+      `        <DL><p>`,
+      ...links,
+      `        </DL><p>`,
+    ].join("\n");
+  });
+
+  return [
+    `<!DOCTYPE NETSCAPE-Bookmark-file-1>`,
+    `<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">`,
+    `<TITLE>Bookmarks</TITLE>`,
+    `<H1>Bookmarks</H1>`,
+    `<DL><p>`,
+    `    <DT><H3 ADD_DATE="${addDate}">B站收藏夹备份 (${escapeHtml(data.mid)})</H3>`,
+    `    <DL><p>`,
+    ...folders,
+    `    </DL><p>`,
+    `</DL><p>`,
+  ].join("\n");
+}
+
+
+/**
+ * 导出某个账号的备份数据
+ *
+ * 注意 service worker 中不能使用 URL.createObjectURL，所以这里只生成文件内容，由页面负责下载
+ *
+ * @param {number|string} mid - 用户ID
+ * @param {string} format - 导出格式 json | csv | html
+ * @returns {Promise<Object>} { filename, mimeType, content }
+ * @throws {Error} 不支持的导出格式
+ */
+const exportBackup = async (mid, format) => {
+  const data = await buildExportData(mid);
+  const date = new Date(data.exported_at).toISOString().slice(0, 10);
+  const filename = `bilibili-fav-backup-${mid}-${date}.${format}`;
+
+  switch (format) {
+    case "json":
+      return { filename, mimeType: "application/json", content: JSON.stringify(data, null, 2) };
+    case "csv":
+      return { filename, mimeType: "text/csv", content: toCsv(data) };
+    case "html":
+      return { filename, mimeType: "text/html", content: toBookmarksHtml(data) };
+    default:
+      throw new Error(`不支持的导出格式: ${format}`);
+  }
+}
+
+
+/**
+ * 是否是普通对象 (不是数组、null)
+ *
+ * @param {*} value - 要检查的值
+ * @returns {boolean} 是否是普通对象
+ */
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * 检查导入文件中的数据，任何一项不符合时都不写入
+ *
+ * @param {Object} data - 解析后的导入文件
+ * @returns {number} 用户ID
+ * @throws {Error} 数据格式错误
+ */
+const validateImportData = (data) => {
+  const mid = Number(data.mid);
+  if (!Number.isSafeInteger(mid) || mid <= 0) {
+    throw new Error("备份文件中的用户ID无效");
+  }
+  if (data.version !== undefined && (!Number.isInteger(data.version) || data.version < 1)) {
+    throw new Error("备份文件中的版本号无效");
+  }
+  if (data.invalid_ids !== undefined
+    && (!Array.isArray(data.invalid_ids) || !data.invalid_ids.every(bvid => typeof bvid === "string" && bvid))) {
+    throw new Error("备份文件中的失效视频列表无效");
+  }
+  if (data.invalid_statuses !== undefined && !isPlainObject(data.invalid_statuses)) {
+    throw new Error("备份文件中的失效视频状态无效");
+  }
+  for (const folder of data.folders) {
+    // 自己创建、收藏的收藏夹ID为正数，合集为负数，稍后再看为 watchlater_<用户ID>
+    const validId = Number.isSafeInteger(folder?.id) ? folder.id !== 0 : folder?.id === watchLaterFolderId(mid);
+    if (!isPlainObject(folder) || !validId) {
+      throw new Error("备份文件中的收藏夹ID无效");
+    }
+    if (folder.medias !== undefined && (!Array.isArray(folder.medias) || !folder.medias.every(isPlainObject))) {
+      throw new Error(`备份文件中收藏夹 ${folder.id} 的视频列表无效`);
+    }
+  }
+  return mid;
+}
+
+/**
+ * 导入 JSON 备份文件，合并到文件中记录的账号名下
+ *
+ * 合并规则与 backupOneFavFull 一致，只会增加、不会丢弃已备份的视频，详见 mergeBackup
+ *
+ * 注意: 和备份数据一样，收藏夹被删除或视频被取消收藏后，下一次全量备份时仍会清理掉对应的导入数据
+ *
+ * @param {string} text - 导入文件的内容
+ * @returns {Promise<Object>} 导入结果 { mid, folders: 涉及的收藏夹个数, added: 新增的视频备份个数 }
+ * @throws {Error} 文件格式错误、版本不支持、数据无效
+ */
+const importBackup = async (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error("文件不是有效的 JSON");
+  }
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.folders) || data.mid === undefined) {
+    throw new Error("不是本插件导出的备份文件");
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(`备份文件版本 (${data.version}) 过高，请先更新插件`);
+  }
+
+  const mid = validateImportData(data);
+  const added = await mergeBackup(mid, data.folders, data.invalid_ids || [], data.invalid_statuses || {});
+
+  const { [STORAGE_ACCOUNTS_KEY]: accounts = [] } = await chrome.storage.local.get([STORAGE_ACCOUNTS_KEY]);
+  if (!accounts.includes(mid)) {
+    await chrome.storage.local.set({ [STORAGE_ACCOUNTS_KEY]: [...accounts, mid] });
+  }
+
+  return { mid, folders: data.folders.length, added };
+}
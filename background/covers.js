@@ -0,0 +1,141 @@
+/**
+ * background/covers.js
+ *
+ * 封面存档: 备份时把视频封面 (压缩后的小尺寸图片) 下载到 IndexedDB 中，视频失效后用来替换页面上的灰色封面
+ *   - 和其他请求一样排队发出 (见 background/request.js)，每次备份后最多存档 coverLimit 张，剩下的下次备份时继续
+ *   - 总占用空间不超过设置中的 coverQuota，超出后清理最久没有使用的封面 (savedAt 在存档和展示时更新)
+ *   - 全量备份后，清理掉已经不在任何收藏夹中、也不在归档中的视频的封面
+ */
+
+
+// B站图片服务支持在 URL 后面加上尺寸和格式参数，只存档和收藏夹页面上差不多大小的封面
+const COVER_SIZE_SUFFIX = "@320w_200h_1c.webp";
+
+
+/**
+ * 获取封面存档的统计数据
+ *
+ * @returns {Promise<Object>} { count: 封面个数, size: 总占用空间 (字节) }
+ */
+const getCoverStats = async () => {
+  return runTransaction(DB_STORE_COVERS, "readonly", async (transaction) => {
+    const covers = await promisifyRequest(transaction.objectStore(DB_STORE_COVERS).getAll());
+    return {
+      count: covers.length,
+      size: covers.reduce((total, cover) => total + cover.size, 0),
+    };
+  });
+}
+
+/**
+ * 下载一张封面
+ *
+ * @param {string} url - 封面URL
+ * @returns {Promise<Blob>} 封面图片
+ * @throws {RateLimitError} 重试多次后仍被限流
+ * @throws {Error} 请求失败
+ */
+const downloadCover = (url) => fetchFromExt(url.replace(/^http:/, "https:") + COVER_SIZE_SUFFIX, "GET", undefined, { responseType: "blob" });
+
+/**
+ * 保存一张封面，总占用空间超出上限时，先清理最久没有使用的封面
+ *
+ * @param {string} bvid - 视频的BV号
+ * @param {Blob} blob - 封面图片
+ * @param {number} quotaBytes - 空间上限 (字节)
+ * @returns {Promise<boolean>} 是否保存了 (封面本身超过上限时不保存)
+ */
+const saveCover = (bvid, blob, quotaBytes) => runTransaction(DB_STORE_COVERS, "readwrite", async (transaction) => {
+  if (blob.size > quotaBytes) return false;
+  const store = transaction.objectStore(DB_STORE_COVERS);
+  const covers = await promisifyRequest(store.index("savedAt").getAll());   // 按 savedAt 从旧到新
+  let totalSize = covers.reduce((total, cover) => total + cover.size, 0);
+  for (const cover of covers) {
+    if (totalSize + blob.size <= quotaBytes) break;
+    store.delete(cover.bvid);
+    totalSize -= cover.size;
+  }
+  store.put({ bvid, blob, size: blob.size, savedAt: Date.now() });
+  return true;
+});
+
+/**
+ * 存档某个账号备份中还没有存档的封面
+ *
+ * 已失效的视频封面已经无法获取，只存档有效视频的封面
+ *
+ * @param {number|string} mid - 用户ID
+ */
+const archiveCovers = async (mid) => {
+  const { coverQuota, coverLimit } = await getSettings();
+  if (!coverQuota) return;
+  const quotaBytes = coverQuota * 1024 * 1024;
+
+  // 1. 找出还没有存档封面的有效视频
+  const { videos } = await getAccountVideos(mid);
+  const archived = new Set(await runTransaction(DB_STORE_COVERS, "readonly",
+    (transaction) => promisifyRequest(transaction.objectStore(DB_STORE_COVERS).getAllKeys())
+  ));
+  const targets = Object.values(videos)
+    .filter(video => video.cover && !archived.has(video.bvid) && !video.invalid)
+    .slice(0, coverLimit);
+  if (targets.length === 0) return;
+
+  // 2. 逐个下载，被限流时停止 (不暂停备份，剩下的封面下次备份时继续存档)
+  for (const [index, video] of targets.entries()) {
+    updateProgress({ done: index, total: targets.length, current: "存档封面" });
+
+    try {
+      const blob = await downloadCover(video.cover);
+      if (!await saveCover(video.bvid, blob, quotaBytes)) {
+        console.warn(`视频 ${video.bvid} 的封面超过了空间上限 ${coverQuota} MB，不存档`);
+      }
+    } catch (err) {
+      if (err instanceof RateLimitError) {
+        console.warn(`存档封面时被限流，剩余 ${targets.length - index} 张封面下次备份时存档`);
+        break;
+      }
+      console.error(`视频 ${video.bvid} 的封面存档失败:`, err);
+    }
+  }
+}
+
+/**
+ * 清理已经没有视频记录的封面 (视频记录在取消收藏、收藏夹被删除后由 sweepOrphanVideos 清理)，归档中的视频保留封面
+ */
+const evictCovers = () => runTransaction([DB_STORE_COVERS, DB_STORE_VIDEOS, DB_STORE_ARCHIVE], "readwrite", async (transaction) => {
+  const videoIds = new Set([
+    ...await promisifyRequest(transaction.objectStore(DB_STORE_VIDEOS).getAllKeys()),
+    ...(await promisifyRequest(transaction.objectStore(DB_STORE_ARCHIVE).getAllKeys())).map(([, bvid]) => bvid),   // 归档中的视频
+  ]);
+  const store = transaction.objectStore(DB_STORE_COVERS);
+  for (const bvid of await promisifyRequest(store.getAllKeys())) {
+    if (!videoIds.has(bvid)) store.delete(bvid);
+  }
+});
+
+/**
+ * 读取存档的封面，转换为 data URL 以便发送给 content.js (content.js 无法访问插件的 IndexedDB)
+ *
+ * 读取时更新 savedAt，页面上用到的封面不会被优先清理
+ *
+ * @param {string} bvid - 视频的BV号
+ * @returns {Promise<string|null>} data URL，没有存档时返回 null
+ */
+const getCoverDataUrl = async (bvid) => {
+  const cover = await runTransaction(DB_STORE_COVERS, "readwrite", async (transaction) => {
+    const store = transaction.objectStore(DB_STORE_COVERS);
+    const saved = await promisifyRequest(store.get(bvid));
+    if (saved) store.put({ ...saved, savedAt: Date.now() });
+    return saved;
+  });
+  if (!cover) return null;
+
+  // 分段转换为 base64，避免一次传入过多参数导致栈溢出
+  const bytes = new Uint8Array(await cover.blob.arrayBuffer());
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${cover.blob.type || "image/webp"};base64,${btoa(binary)}`;
+}
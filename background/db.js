@@ -0,0 +1,161 @@
+/**
+ * background/db.js
+ *
+ * IndexedDB 的打开、版本升级，以及把回调风格的 API 封装成 Promise
+ *
+ * 数据库版本号 = DB_UPGRADES 的长度，新增或修改对象仓库时，在 DB_UPGRADES 末尾追加一个升级函数，不要修改已有的升级函数
+ */
+
+
+const DB_NAME = "bilibili-fav-backup";
+
+// 对象仓库名
+const DB_STORE_COVERS = "covers";             // 封面存档 { bvid, blob, size, savedAt }
+const DB_STORE_VIDEOS = "videos";             // 视频备份，所有账号共用 (视频信息与账号无关) { bvid, invalid, ...视频信息 }
+const DB_STORE_MEMBERSHIPS = "memberships";   // 收藏夹与视频的对应关系 { favId, bvid, mid, fav_time, index }
+const DB_STORE_FOLDERS = "folders";           // 收藏夹列表 { id, mid, title, cnt, type, attr, intro, cover, ctime, mtime, index, backedUpAt }
+const DB_STORE_HISTORY = "history";           // 变更历史 { id, time, mid, favId, favTitle, bvid, type, title, up }
+const DB_STORE_ARCHIVE = "archive";           // 归档 (取消收藏、收藏夹被删除、清理失效视频) { favId, bvid, mid, favTitle, fav_time, video, reason, archivedAt }
+const DB_STORE_TITLES = "titles";             // 没有备份的失效视频从其他来源查到的标题 { bvid, title, up, intro, provider, source, resolvedAt }
+const DB_STORE_SNAPSHOTS = "snapshots";       // 全量备份前的快照 { id, mid, createdAt, reason, status, diff, folders, memberships, videos, archive }
+const DB_STORE_DELETED_FOLDERS = "deleted_folders";   // 被删除的自己创建的收藏夹 { ...收藏夹信息, deletedAt, medias, restoredAs, restoredAt }
+
+/**
+ * 每个版本的升级函数，打开数据库时从当前版本依次执行到最新版本
+ *
+ * @type {Array<function(IDBDatabase, IDBTransaction): void>}
+ */
+const DB_UPGRADES = [
+  // v1: 封面存档
+  (db) => {
+    const covers = db.createObjectStore(DB_STORE_COVERS, { keyPath: "bvid" });
+    covers.createIndex("savedAt", "savedAt");
+  },
+  // v2: 备份数据从 chrome.storage.local 迁移到 IndexedDB (数据迁移见 background/migrations.js)
+  (db) => {
+    // 失效状态用 0/1 表示 (布尔值不能作为索引的键)
+    const videos = db.createObjectStore(DB_STORE_VIDEOS, { keyPath: "bvid" });
+    videos.createIndex("invalid", "invalid");
+
+    const memberships = db.createObjectStore(DB_STORE_MEMBERSHIPS, { keyPath: ["favId", "bvid"] });
+    memberships.createIndex("favId", "favId");
+    memberships.createIndex("bvid", "bvid");
+    memberships.createIndex("mid", "mid");
+
+    const folders = db.createObjectStore(DB_STORE_FOLDERS, { keyPath: "id" });
+    folders.createIndex("mid", "mid");
+  },
+  // v3: 变更历史 (新增收藏、取消收藏、视频失效)
+  (db) => {
+    const history = db.createObjectStore(DB_STORE_HISTORY, { keyPath: "id", autoIncrement: true });
+    history.createIndex("mid", "mid");
+  },
+  // v4: 归档
+  (db) => {
+    const archive = db.createObjectStore(DB_STORE_ARCHIVE, { keyPath: ["favId", "bvid"] });
+    archive.createIndex("mid", "mid");
+    archive.createIndex("bvid", "bvid");
+    archive.createIndex("archivedAt", "archivedAt");
+  },
+  // v5: 失效视频标题的其他来源 (导入的数据、查询结果的缓存)
+  (db) => {
+    db.createObjectStore(DB_STORE_TITLES, { keyPath: "bvid" });
+  },
+  // v6: 备份快照
+  (db) => {
+    const snapshots = db.createObjectStore(DB_STORE_SNAPSHOTS, { keyPath: "id", autoIncrement: true });
+    snapshots.createIndex("mid", "mid");
+  },
+  // v7: 被删除的收藏夹 (用于在B站上重新创建)
+  (db) => {
+    const deletedFolders = db.createObjectStore(DB_STORE_DELETED_FOLDERS, { keyPath: "id" });
+    deletedFolders.createIndex("mid", "mid");
+    deletedFolders.createIndex("deletedAt", "deletedAt");
+  },
+];
+
+
+/**
+ * 缓存打开的数据库连接，service worker 重启前一直复用
+ */
+let dbPromise = null;
+
+/**
+ * 每个对象仓库被读写事务修改的次数 (只在当前 service worker 中计数)，用于判断内存中的缓存是否过期，见 getStoreVersion
+ */
+const storeWriteCounts = {};
+
+/**
+ * 打开数据库，必要时执行版本升级
+ *
+ * @returns {Promise<IDBDatabase>} 数据库连接
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_UPGRADES.length);
+    request.onupgradeneeded = (event) => {
+      for (let version = event.oldVersion; version < DB_UPGRADES.length; version++) {
+        DB_UPGRADES[version](request.result, request.transaction);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; });   // 打开失败时，下次重新尝试
+  return dbPromise;
+}
+
+/**
+ * 把 IDBRequest 封装成 Promise
+ *
+ * @param {IDBRequest} request - 请求
+ * @returns {Promise<*>} 请求结果
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * 获取一组对象仓库的版本，其中任何一个被修改后版本都会变化
+ *
+ * @param {string[]} storeNames - 对象仓库
+ * @returns {string} 版本
+ */
+const getStoreVersion = (storeNames) => storeNames.map(name => storeWriteCounts[name] || 0).join(",");
+
+/**
+ * 在一个事务中执行操作，事务提交后返回 callback 的返回值
+ *
+ * 注意: callback 中只能 await IndexedDB 的请求，await 其他异步操作 (如网络请求) 会导致事务自动提交
+ *
+ * @param {string|string[]} storeNames - 涉及的对象仓库
+ * @param {string} mode - readonly | readwrite
+ * @param {function(IDBTransaction): Promise<*>} callback - 在事务中执行的操作
+ * @returns {Promise<*>} callback 的返回值
+ * @throws {Error} 事务失败时回滚，并抛出错误
+ */
+const runTransaction = async (storeNames, mode, callback) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    let result;
+    transaction.oncomplete = () => {
+      if (mode === "readwrite") {
+        [storeNames].flat().forEach(name => { storeWriteCounts[name] = (storeWriteCounts[name] || 0) + 1; });
+      }
+      resolve(result);
+    };
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("事务被中止"));
+
+    Promise.resolve(callback(transaction))
+      .then(value => { result = value; })
+      .catch(err => {
+        transaction.abort();
+        reject(err);
+      });
+  });
+}
@@ -0,0 +1,134 @@
+/**
+ * background/folder-clean.js
+ *
+ * 清理失效视频: 失效视频仍然占用收藏夹的容量，确认标题已经备份后，可以把它们从B站收藏夹中移除
+ *   - 预览: 列出收藏夹中已备份的失效视频 (会被清理)，以及没有备份的失效视频 (不会被清理，包括只有从其他来源查到的标题的)，不发送任何请求
+ *   - 清理: 用批量删除接口只移除已备份的失效视频，然后把它们的备份移到归档中永久保留 (ARCHIVE_REASON_CLEANED)，
+ *     同时删除对应关系，下一次全量备份不会再把它们当作取消收藏
+ *
+ * 不使用B站的 "清除失效内容" 接口 (resource/clean): 它会移除收藏夹中所有的失效视频，包括没有备份、或上次备份后才失效的视频
+ * 只能清理自己创建的收藏夹
+ */
+
+
+const CLEAN_BATCH_SIZE = 20;   // 批量删除时每次请求移除的视频个数 (接口没有说明上限，取一个保守的值)
+
+
+/**
+ * 根据备份列出收藏夹中要清理的失效视频 (预览)
+ *
+ * @param {number} mid - 用户ID
+ * @param {number} favId - 收藏夹ID
+ * @returns {Promise<Object>} 清理计划
+ *   - folder: 收藏夹 { id, title }
+ *   - clean: 已备份的失效视频，按收藏夹中的顺序 [{ bvid, avid, title, up, status, statusName, invalidSince }]
+ *   - skip: 没有插件自己的备份的失效视频 [{ bvid, title: 从其他来源查到的标题, titleSource, status, statusName }]
+ * @throws {Error} 收藏夹不存在、不是自己创建的收藏夹
+ */
+const planFolderClean = async (mid, favId) => {
+  const { folder, memberships } = await runTransaction([DB_STORE_FOLDERS, DB_STORE_MEMBERSHIPS], "readonly", async (transaction) => ({
+    folder: await promisifyRequest(transaction.objectStore(DB_STORE_FOLDERS).get(favId)),
+    memberships: await promisifyRequest(transaction.objectStore(DB_STORE_MEMBERSHIPS).index("favId").getAll(favId)),
+  }));
+  if (!folder || folder.mid !== mid) {
+    throw new Error("收藏夹不存在");
+  }
+  if ((folder.type || FOLDER_TYPE_CREATED) !== FOLDER_TYPE_CREATED) {
+    throw new Error("只能清理自己创建的收藏夹");
+  }
+
+  memberships.sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity) || (b.fav_time ?? 0) - (a.fav_time ?? 0));
+  const videos = await getVideos(memberships.map(membership => membership.bvid));
+  const clean = [];
+  const skip = [];
+  for (const { bvid } of memberships) {
+    const video = videos[bvid];
+    const status = getVideoStatus(video);
+    if (!status || status === VIDEO_STATUS_NORMAL) continue;
+    if (hasOwnBackup(video)) {
+      clean.push({
+        bvid,
+        avid: video.avid ?? bvidToAvid(bvid),
+        title: video.title,
+        up: video.up,
+        status,
+        statusName: VIDEO_STATUS_NAMES[status],
+        invalidSince: video.invalidSince,
+      });
+    } else {
+      skip.push({ bvid, title: video.title, titleSource: video.titleSource, status, statusName: VIDEO_STATUS_NAMES[status] });
+    }
+  }
+
+  return { folder: { id: folder.id, title: folder.title }, clean, skip };
+}
+
+/**
+ * 把已经从B站收藏夹中移除的视频移到归档中永久保留，删除对应关系，并记录为取消收藏
+ *
+ * @param {number} mid - 用户ID
+ * @param {number} favId - 收藏夹ID
+ * @param {string[]} bvids - 已经移除的视频
+ */
+const archiveCleanedVideos = (mid, favId, bvids) => runTransaction([DB_STORE_FOLDERS, DB_STORE_MEMBERSHIPS, DB_STORE_VIDEOS, DB_STORE_HISTORY, DB_STORE_ARCHIVE], "readwrite", async (transaction) => {
+  const membershipStore = transaction.objectStore(DB_STORE_MEMBERSHIPS);
+  const videoStore = transaction.objectStore(DB_STORE_VIDEOS);
+  const folder = await promisifyRequest(transaction.objectStore(DB_STORE_FOLDERS).get(favId)) || { id: favId };
+  const history = createHistoryWriter(transaction, mid, folder);
+
+  for (const bvid of bvids) {
+    const membership = await promisifyRequest(membershipStore.get([favId, bvid]));
+    if (!membership) continue;
+    const video = await promisifyRequest(videoStore.get(bvid));
+    membershipStore.delete([favId, bvid]);
+    await archiveMembership(transaction, membership, folder, video, ARCHIVE_REASON_CLEANED);
+    history.add("remove", bvid, video);
+  }
+});
+
+/**
+ * 从B站收藏夹中清理已备份的失效视频
+ *
+ * 分批移除，某一批失败时跳过继续，被限流时停止，剩下的视频也记录为失败。只有移除成功的视频会被归档
+ *
+ * @param {number} mid - 用户ID
+ * @param {number} favId - 收藏夹ID
+ * @param {boolean} dryRun - 只预览，不修改B站上的数据
+ * @returns {Promise<Object>} 清理计划 (见 planFolderClean)，实际清理时还包括 { cleaned: 移除成功的视频个数, failed: [{ bvid, title, error }] }
+ * @throws {Error} 收藏夹不存在、不是自己创建的收藏夹、当前登录的不是这个账号
+ */
+const cleanInvalidVideos = async (mid, favId, dryRun) => {
+  const plan = await planFolderClean(mid, favId);
+  if (dryRun) return plan;
+
+  if (await saveMid() !== mid) {
+    throw new Error("当前登录的B站账号不是这个收藏夹所属的账号");
+  }
+
+  const cleaned = [];
+  const failed = [];
+  for (let i = 0; i < plan.clean.length; i += CLEAN_BATCH_SIZE) {
+    const batch = plan.clean.slice(i, i + CLEAN_BATCH_SIZE);
+    const toFailed = (error) => batch.map(media => ({ bvid: media.bvid, title: media.title, error }));
+    try {
+      const res = await postFromExt(API_BATCH_DEL_RESOURCE, {
+        resources: batch.map(media => `${media.avid}:${RESOURCE_TYPE_VIDEO}`).join(","),
+        media_id: favId,
+      });
+      if (res.code === 0) {
+        cleaned.push(...batch.map(media => media.bvid));
+      } else {
+        failed.push(...toFailed(res.message || `状态码: ${res.code}`));
+      }
+    } catch (err) {
+      if (err instanceof RateLimitError) {
+        failed.push(...plan.clean.slice(i).map(media => ({ bvid: media.bvid, title: media.title, error: err.message })));
+        break;
+      }
+      failed.push(...toFailed(err.message));
+    }
+  }
+
+  await archiveCleanedVideos(mid, favId, cleaned);
+  return { ...plan, cleaned: cleaned.length, failed };
+}
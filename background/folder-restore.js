@@ -0,0 +1,179 @@
+/**
+ * background/folder-restore.js
+ *
+ * 恢复被删除的收藏夹: 自己创建的收藏夹被删除后，它的信息和其中的视频保存在 deleted_folders 中 (见 deleteMissingFolders)，
+ * 可以用这些信息在B站上重新创建收藏夹
+ *   - 预览 (dry-run): 只根据备份列出将要新建的收藏夹、将要添加的视频、跳过的失效视频，不发送任何请求
+ *   - 恢复: 新建一个同名、同简介、同样公开/私密的收藏夹，按原来的顺序添加仍然有效的视频，然后执行一次增量备份
+ *
+ * 注意: 恢复会修改B站上的数据，新收藏夹的ID与原来的不同，原收藏夹的归档和变更历史保持不变
+ */
+
+
+const RESOURCE_TYPE_VIDEO = 2;   // 收藏内容的类型: 视频稿件
+
+
+/**
+ * 读取被删除的收藏夹
+ *
+ * @param {number} mid - 用户ID
+ * @param {number} id - 原收藏夹ID
+ * @returns {Promise<Object>} 被删除的收藏夹
+ * @throws {Error} 不存在 (可能已经超过保留时间被清理了)
+ */
+const readDeletedFolder = async (mid, id) => {
+  const folder = await runTransaction(DB_STORE_DELETED_FOLDERS, "readonly",
+    (transaction) => promisifyRequest(transaction.objectStore(DB_STORE_DELETED_FOLDERS).get(id))
+  );
+  if (!folder || folder.mid !== mid) {
+    throw new Error("被删除的收藏夹不存在，可能已经超过保留时间被清理了");
+  }
+  return folder;
+}
+
+/**
+ * 获取某个账号被删除的收藏夹
+ *
+ * @param {number} mid - 用户ID
+ * @returns {Promise<Array<Object>>} [{ id, title, intro, privacy, deletedAt, count, restoredAs, restoredAt }]，按删除时间倒序
+ */
+const getDeletedFolders = (mid) => runTransaction(DB_STORE_DELETED_FOLDERS, "readonly", async (transaction) => {
+  const folders = await promisifyRequest(transaction.objectStore(DB_STORE_DELETED_FOLDERS).index("mid").getAll(mid));
+  return folders
+    .sort((a, b) => b.deletedAt - a.deletedAt)
+    .map(folder => ({
+      id: folder.id,
+      title: folder.title,
+      intro: folder.intro,
+      privacy: folder.attr & 1,
+      deletedAt: folder.deletedAt,
+      count: folder.medias.length,
+      restoredAs: folder.restoredAs,
+      restoredAt: folder.restoredAt,
+    }));
+});
+
+/**
+ * 根据备份生成恢复计划 (预览)
+ *
+ * 视频的状态以最新的记录为准: 视频记录 (在其他收藏夹中仍然会被备份) > 归档 > 删除收藏夹时的状态
+ *
+ * @param {number} mid - 用户ID
+ * @param {number} id - 原收藏夹ID
+ * @returns {Promise<Object>} 恢复计划
+ *   - folder: 要新建的收藏夹 { id: 原收藏夹ID, title, intro, cover, privacy: 0-公开 1-私密, deletedAt, restoredAs }
+ *   - titleTaken: 是否已经有同名的收藏夹
+ *   - add: 要添加的视频 (按原来的顺序) [{ bvid, avid, title }]
+ *   - skip: 跳过的失效视频 [{ bvid, title, status, statusName }]
+ * @throws {Error} 被删除的收藏夹不存在
+ */
+const planFolderRestore = async (mid, id) => {
+  const folder = await readDeletedFolder(mid, id);
+  const bvids = folder.medias.map(media => media.bvid);
+  const videos = { ...await getArchivedVideos(bvids), ...await getVideos(bvids) };
+  const currentFolders = await getFolders(mid);
+
+  const add = [];
+  const skip = [];
+  for (const media of folder.medias) {
+    const video = videos[media.bvid];
+    const status = getVideoStatus(video) ?? media.status ?? VIDEO_STATUS_NORMAL;
+    const title = (isBackedUp(video) ? video.title : undefined) ?? media.title;
+    if (status === VIDEO_STATUS_NORMAL) {
+      add.push({ bvid: media.bvid, avid: video?.avid ?? media.avid ?? bvidToAvid(media.bvid), title });
+    } else {
+      skip.push({ bvid: media.bvid, title, status, statusName: VIDEO_STATUS_NAMES[status] });
+    }
+  }
+
+  return {
+    folder: {
+      id: folder.id,
+      title: folder.title,
+      intro: folder.intro || "",
+      cover: folder.cover || "",
+      privacy: folder.attr & 1,
+      deletedAt: folder.deletedAt,
+      restoredAs: folder.restoredAs,
+    },
+    titleTaken: currentFolders.some(item => item.title === folder.title && (item.type || FOLDER_TYPE_CREATED) === FOLDER_TYPE_CREATED),
+    add,
+    skip,
+  };
+}
+
+/**
+ * 在B站上重新创建被删除的收藏夹
+ *
+ *   1. 新建收藏夹 (标题、简介、封面、公开/私密与原来相同)
+ *   2. 添加仍然有效的视频: B站默认按收藏时间倒序排列，所以从最后一个视频开始添加，新收藏夹中的顺序与原来相同
+ *   3. 执行一次增量备份 (备份新收藏夹)
+ * 新建收藏夹成功后立即记录恢复到的收藏夹，之后的步骤出错时也能看到已经恢复过
+ * 新建收藏夹时出现网络错误、服务器错误不会重试 (B站可能已经新建了收藏夹，重试会重复新建)，由用户检查后再重试
+ * 添加某个视频失败时跳过它继续添加，被限流时停止添加，剩下的视频也记录为失败
+ *
+ * @param {number} mid - 用户ID
+ * @param {number} id - 原收藏夹ID
+ * @param {boolean} dryRun - 只预览，不修改B站上的数据
+ * @returns {Promise<Object>} 恢复计划 (见 planFolderRestore)，实际恢复时还包括 { newId: 新收藏夹ID, added: 添加成功的视频个数, failed: [{ bvid, title, error }] }
+ * @throws {Error} 被删除的收藏夹不存在、当前登录的不是这个账号、新建收藏夹失败
+ */
+const restoreDeletedFolder = async (mid, id, dryRun) => {
+  const plan = await planFolderRestore(mid, id);
+  if (dryRun) return plan;
+
+  if (await saveMid() !== mid) {
+    throw new Error("当前登录的B站账号不是这个收藏夹所属的账号");
+  }
+
+  // 1. 新建收藏夹，成功后立即记录
+  let res;
+  try {
+    res = await postFromExt(API_ADD_FOLDER, {
+      title: plan.folder.title,
+      intro: plan.folder.intro,
+      cover: plan.folder.cover,
+      privacy: plan.folder.privacy,
+    });
+  } catch (err) {
+    if (err instanceof RateLimitError) throw err;
+    throw new Error(`新建收藏夹失败: ${err.message}。请先在B站上检查是否已经新建了“${plan.folder.title}”，再决定是否重试`);
+  }
+  if (res.code !== 0 || !res.data?.id) {
+    throw new Error(`新建收藏夹失败: ${res.message || `状态码: ${res.code}`}`);
+  }
+  const newId = res.data.id;
+  await runTransaction(DB_STORE_DELETED_FOLDERS, "readwrite", async (transaction) => {
+    const store = transaction.objectStore(DB_STORE_DELETED_FOLDERS);
+    const folder = await promisifyRequest(store.get(id));
+    if (folder) store.put({ ...folder, restoredAs: newId, restoredAt: Date.now() });
+  });
+
+  // 2. 从最后一个视频开始添加
+  const failed = [];
+  const medias = [...plan.add].reverse();
+  for (const [index, media] of medias.entries()) {
+    try {
+      const result = await postFromExt(API_DEAL_RESOURCE, {
+        rid: media.avid,
+        type: RESOURCE_TYPE_VIDEO,
+        add_media_ids: newId,
+        del_media_ids: "",
+      });
+      if (result.code !== 0) {
+        failed.push({ bvid: media.bvid, title: media.title, error: result.message || `状态码: ${result.code}` });
+      }
+    } catch (err) {
+      if (err instanceof RateLimitError) {
+        failed.push(...medias.slice(index).map(item => ({ bvid: item.bvid, title: item.title, error: err.message })));
+        break;
+      }
+      failed.push({ bvid: media.bvid, title: media.title, error: err.message });
+    }
+  }
+
+  // 3. 备份新收藏夹
+  await requestBackup("incr", "restore");
+
+  return { ...plan, newId, added: plan.add.length - failed.length, failed };
+}
@@ -0,0 +1,211 @@
+/**
+ * background/jobs.js
+ *
+ * 备份任务的检查点: service worker 随时可能被浏览器回收 (空闲超时、浏览器关闭)，
+ * 备份任务的进度保存在 chrome.storage.local 中，下一次唤醒时 (定时任务、启动浏览器、打开插件页面) 从检查点继续
+ *   - 已经备份完的收藏夹不会重新备份
+ *   - 正在全量备份的收藏夹记录已经获取到的页，继续时从下一页开始获取
+ *     (每一页的视频单独保存，任务中只记录页码，保存检查点的数据量不会随着页数增加)
+ *   - 收藏夹的备份数据只在获取完所有视频后才一次性更新，备份到一半的收藏夹不会把没获取到的视频当作取消收藏
+ *   - 清理孤立视频、更新全量备份时间等收尾工作只在所有收藏夹都备份完后执行
+ *
+ * 备份请求队列: 安装、启动浏览器、定时任务、手动执行等触发的备份请求先加入队列，由 background.js 的 drainBackupQueue 依次执行
+ *   - 同一时间只执行一个备份任务，不会同时读写同一份备份数据
+ *   - 队列保存在 chrome.storage.local 中，service worker 被回收后，下次唤醒时继续执行
+ *   - 合并重复的请求: 已经在排队的请求能覆盖新请求时 (见 coversBackupMode)，只记录新请求的触发方式，
+ *     新请求能覆盖排队中的请求时 (如全量备份覆盖增量备份)，替换掉排队中的请求
+ *   - 最近执行过的请求记录在执行历史中，用于排查问题
+ */
+
+
+const STORAGE_JOB_KEY = "backup_job";                      // 未完成的备份任务 (检查点)，数据格式见 createBackupJob
+const STORAGE_JOB_PAGE_KEY = "backup_job_page";            // 正在全量备份的收藏夹已经获取到的每一页视频，键名为 backup_job_page_<页码>
+const STORAGE_QUEUE_KEY = "backup_queue";                  // 排队中的备份请求 [{ mode, triggers: 合并的所有触发方式, requestedAt }]
+const STORAGE_QUEUE_HISTORY_KEY = "backup_queue_history";  // 备份请求的执行历史，按时间倒序，数据格式见 drainBackupQueue
+
+const QUEUE_HISTORY_LIMIT = 50;   // 最多保留的执行历史条数
+
+// 备份方式的覆盖范围: 全量备份 > 自动 (可能是全量备份) > 增量备份
+const BACKUP_MODE_RANKS = { incr: 0, auto: 1, full: 2 };
+
+
+/**
+ * 创建一个新的备份任务
+ *
+ * @param {string} mode - 备份方式 full | incr | auto (auto 在获取到用户ID后确定)
+ * @param {string} trigger - 触发方式
+ * @returns {Object} 备份任务
+ */
+const createBackupJob = (mode, trigger) => ({
+  mode,
+  trigger,
+  mid: undefined,         // 用户ID
+  startedAt: Date.now(),
+  favlist: null,          // 任务开始时获取到的收藏夹列表 [{ id, title }]，继续任务时不再重新获取
+  done: [],               // 已经备份完的收藏夹ID (包括备份失败的)
+  errorCount: 0,          // 备份失败的收藏夹个数
+  current: null,          // 正在全量备份的收藏夹 { favId, page: 已经获取到的页码, count: 已经获取到的视频个数 }，视频见 saveBackupJobPage
+  invalidVideos: [],      // 新发现失效的已备份视频 { favId, bvid, title, attr, status }，任务结束时汇总成一条通知
+  pausedUntil: null,      // 被限流暂停时，暂停结束的时间戳
+  snapshotId: null,       // 全量备份前保存的快照ID，备份完所有收藏夹后和它比较 (见 background/snapshots.js)
+});
+
+/**
+ * 获取未完成的备份任务
+ *
+ * @returns {Promise<Object|null>} 备份任务
+ */
+const getBackupJob = async () => {
+  const { [STORAGE_JOB_KEY]: job = null } = await chrome.storage.local.get([STORAGE_JOB_KEY]);
+  return job;
+}
+
+/**
+ * 保存备份任务的检查点
+ *
+ * @param {Object} job - 备份任务
+ */
+const saveBackupJob = async (job) => {
+  await chrome.storage.local.set({ [STORAGE_JOB_KEY]: job });
+}
+
+/**
+ * 每一页视频的键名
+ *
+ * @param {number} page - 页码
+ * @returns {string} 键名
+ */
+const jobPageKey = (page) => `${STORAGE_JOB_PAGE_KEY}_${page}`;
+
+/**
+ * 正在全量备份的收藏夹获取到一页视频后，保存这一页的视频和备份任务的检查点 (同时写入)
+ *
+ * @param {Object} job - 备份任务
+ * @param {number} favId - 收藏夹ID
+ * @param {number} page - 页码
+ * @param {Array<Object>} medias - 这一页的视频
+ */
+const saveBackupJobPage = async (job, favId, page, medias) => {
+  const count = page > 1 && job.current?.favId === favId ? job.current.count : 0;
+  job.current = { favId, page, count: count + medias.length };
+  await chrome.storage.local.set({ [jobPageKey(page)]: medias, [STORAGE_JOB_KEY]: job });
+}
+
+/**
+ * 读取正在全量备份的收藏夹已经获取到的视频
+ *
+ * @param {Object} current - 备份任务中正在全量备份的收藏夹 (job.current)
+ * @returns {Promise<Array<Object>|null>} 已经获取到的视频，有页缺失时返回 null (需要从第一页重新获取)
+ */
+const loadBackupJobPages = async (current) => {
+  if (current.mediaList) return current.mediaList;   // 旧版本保存的检查点
+  const keys = Array.from({ length: current.page }, (_, i) => jobPageKey(i + 1));
+  const items = await chrome.storage.local.get(keys);
+  if (keys.some(key => !Array.isArray(items[key]))) return null;
+  return keys.flatMap(key => items[key]);
+}
+
+/**
+ * 删除正在全量备份的收藏夹已经获取到的视频 (收藏夹备份完成、任务结束)
+ *
+ * @param {Object} [current] - 备份任务中正在全量备份的收藏夹 (job.current)
+ */
+const clearBackupJobPages = async (current) => {
+  if (!current?.page) return;
+  await chrome.storage.local.remove(Array.from({ length: current.page }, (_, i) => jobPageKey(i + 1)));
+}
+
+/**
+ * 删除备份任务 (任务结束)
+ */
+const clearBackupJob = async () => {
+  await clearBackupJobPages((await getBackupJob())?.current);
+  await chrome.storage.local.remove(STORAGE_JOB_KEY);
+}
+
+
+/**
+ * 备份方式 a 是否能覆盖备份方式 b (执行了 a 就不需要再执行 b)
+ *
+ * @param {string} a - 备份方式 full | incr | auto
+ * @param {string} b - 备份方式 full | incr | auto
+ * @returns {boolean}
+ */
+const coversBackupMode = (a, b) => BACKUP_MODE_RANKS[a] >= BACKUP_MODE_RANKS[b];
+
+/**
+ * 获取排队中的备份请求
+ *
+ * @returns {Promise<Array<Object>>} 备份请求
+ */
+const getBackupQueue = async () => {
+  const { [STORAGE_QUEUE_KEY]: queue = [] } = await chrome.storage.local.get([STORAGE_QUEUE_KEY]);
+  return queue;
+}
+
+/**
+ * 队列的读写依次执行，避免同时修改时互相覆盖
+ */
+let queueUpdating = Promise.resolve();
+
+/**
+ * 修改排队中的备份请求
+ *
+ * @param {Function} update - 修改函数，参数为队列 (直接修改)，返回值作为结果
+ * @returns {Promise<*>} 修改函数的返回值
+ */
+const updateBackupQueue = (update) => {
+  const result = queueUpdating.then(async () => {
+    const queue = await getBackupQueue();
+    const value = update(queue);
+    await chrome.storage.local.set({ [STORAGE_QUEUE_KEY]: queue });
+    return value;
+  });
+  queueUpdating = result.catch(() => {});
+  return result;
+}
+
+/**
+ * 把备份请求加入队列，合并重复的请求
+ *
+ * @param {string} mode - 备份方式 full | incr | auto
+ * @param {string} trigger - 触发方式
+ * @returns {Promise<boolean>} 是否合并到了排队中的请求 (排队中的请求能覆盖新请求，新请求不会单独执行)
+ */
+const enqueueBackupRequest = (mode, trigger) => updateBackupQueue((queue) => {
+  const existing = queue.find(request => coversBackupMode(request.mode, mode));
+  if (existing) {
+    existing.triggers.push(trigger);
+    return true;
+  }
+
+  // 替换掉能被新请求覆盖的请求，保留它们的触发方式和最早的请求时间
+  const replaced = queue.filter(request => coversBackupMode(mode, request.mode));
+  const request = {
+    mode,
+    triggers: [...replaced.flatMap(request => request.triggers), trigger],
+    requestedAt: Math.min(Date.now(), ...replaced.map(request => request.requestedAt)),
+  };
+  queue.splice(0, queue.length, ...queue.filter(request => !replaced.includes(request)), request);
+  return false;
+});
+
+/**
+ * 获取备份请求的执行历史
+ *
+ * @returns {Promise<Array<Object>>} 执行历史，按时间倒序
+ */
+const getQueueHistory = async () => {
+  const { [STORAGE_QUEUE_HISTORY_KEY]: history = [] } = await chrome.storage.local.get([STORAGE_QUEUE_HISTORY_KEY]);
+  return history;
+}
+
+/**
+ * 记录一条执行历史
+ *
+ * @param {Object} entry - 执行历史
+ */
+const addQueueHistory = async (entry) => {
+  const history = await getQueueHistory();
+  await chrome.storage.local.set({ [STORAGE_QUEUE_HISTORY_KEY]: [entry, ...history].slice(0, QUEUE_HISTORY_LIMIT) });
+}
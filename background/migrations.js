@@ -0,0 +1,115 @@
+/**
+ * background/migrations.js
+ *
+ * 存储结构的版本迁移
+ *
+ * 当前版本号保存在 chrome.storage.local 的 STORAGE_VERSION_KEY 中，版本号 = STORAGE_MIGRATIONS 的长度
+ * 修改存储结构时，在 STORAGE_MIGRATIONS 末尾追加一个迁移函数，不要修改已有的迁移函数
+ */
+
+
+const STORAGE_VERSION_KEY = "storage_version";   // chrome.storage.local 中使用的键名
+
+// 旧版本在 chrome.storage.local 中使用的键名
+const LEGACY_BACKUP_KEY = "all_medias";         // 所有收藏夹的视频信息备份 { favId: { bvid: 视频信息 } }
+const LEGACY_FAVLIST_KEY = "favlist";           // 用户收藏夹列表
+const LEGACY_INVALID_IDS_KEY = "invalid_ids";   // 已知的失效视频ID集合
+const LEGACY_FAV_STATS_KEY = "fav_stats";       // 每个收藏夹的统计数据
+
+
+/**
+ * v1: 将 v0.3.1 及之前不区分账号存储的数据，迁移到当时所登录账号的名下
+ *
+ * 旧版本只允许备份一个账号，且每次备份前都会保存用户ID，所以存在备份数据时 STORAGE_MID_KEY 一定存在
+ */
+const migrateLegacyStorage = async () => {
+  const legacyAccountKeys = [LEGACY_BACKUP_KEY, LEGACY_FAVLIST_KEY, STORAGE_LAST_FULL_BACKUP_TIME, LEGACY_INVALID_IDS_KEY];
+  const legacy = await chrome.storage.local.get([STORAGE_MID_KEY, STORAGE_ACCOUNTS_KEY, ...legacyAccountKeys]);
+  const mid = legacy[STORAGE_MID_KEY];
+  const legacyKeys = legacyAccountKeys.filter(key => legacy[key] !== undefined);
+  if (mid === undefined || legacyKeys.length === 0) return;
+
+  // 先写入新位置，再删除旧数据，中途出错也不会丢失数据
+  await setAccountStorage(mid, Object.fromEntries(legacyKeys.map(key => [key, legacy[key]])));
+  const accounts = legacy[STORAGE_ACCOUNTS_KEY] || [];
+  if (!accounts.includes(mid)) {
+    await chrome.storage.local.set({ [STORAGE_ACCOUNTS_KEY]: [...accounts, mid] });
+  }
+  await chrome.storage.local.remove(legacyKeys);
+}
+
+/**
+ * v2: 将每个账号在 chrome.storage.local 中的备份数据迁移到 IndexedDB (数据模型见 background/store.js)
+ *
+ * 写入 IndexedDB 成功后才删除旧数据，中途出错时下次重新迁移，合并规则保证重复迁移不会产生重复数据
+ */
+const migrateToIndexedDB = async () => {
+  const { [STORAGE_ACCOUNTS_KEY]: accounts = [] } = await chrome.storage.local.get([STORAGE_ACCOUNTS_KEY]);
+
+  for (const mid of accounts) {
+    const {
+      [LEGACY_FAVLIST_KEY]: favlist = [],
+      [LEGACY_BACKUP_KEY]: backedUpFavs = {},
+      [LEGACY_INVALID_IDS_KEY]: invalidIdsArray = [],
+    } = await getAccountStorage(mid, [LEGACY_FAVLIST_KEY, LEGACY_BACKUP_KEY, LEGACY_INVALID_IDS_KEY]);
+    const invalidIds = new Set(invalidIdsArray);
+
+    // 收藏夹列表中没有、但存在备份的收藏夹也一并迁移
+    const folderInfos = [...favlist];
+    for (const favId of Object.keys(backedUpFavs)) {
+      if (!folderInfos.some(fav => String(fav.id) === favId)) {
+        folderInfos.push({ id: Number(favId), title: "", cnt: undefined });
+      }
+    }
+    const folders = folderInfos.map(fav => ({
+      id: fav.id,
+      title: fav.title,
+      cnt: fav.cnt,
+      medias: Object.values(backedUpFavs[fav.id] || {}).map(media => ({ ...media, invalid: invalidIds.has(media.bvid) })),
+    }));
+
+    await mergeBackup(mid, folders, Array.from(invalidIds));
+    await chrome.storage.local.remove(
+      [LEGACY_FAVLIST_KEY, LEGACY_BACKUP_KEY, LEGACY_INVALID_IDS_KEY, LEGACY_FAV_STATS_KEY].map(key => accountKey(mid, key))
+    );
+  }
+}
+
+
+/**
+ * 每个版本的迁移函数，从当前版本依次执行到最新版本
+ */
+const STORAGE_MIGRATIONS = [
+  migrateLegacyStorage,   // v1: 按账号分开存储
+  migrateToIndexedDB,     // v2: 迁移到 IndexedDB
+];
+
+/**
+ * 执行尚未执行的迁移，每完成一个版本就保存一次版本号
+ */
+const migrateStorage = async () => {
+  const { [STORAGE_VERSION_KEY]: version = 0 } = await chrome.storage.local.get([STORAGE_VERSION_KEY]);
+  for (let next = version; next < STORAGE_MIGRATIONS.length; next++) {
+    await STORAGE_MIGRATIONS[next]();
+    await chrome.storage.local.set({ [STORAGE_VERSION_KEY]: next + 1 });
+  }
+}
+
+/**
+ * 同一个 service worker 生命周期内只迁移一次，读写备份数据之前都要先等待迁移完成
+ */
+let migrationPromise = null;
+
+/**
+ * 确保存储结构已经迁移到最新版本
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} 迁移失败 (下次调用时会重新尝试)
+ */
+const ensureStorageMigrated = () => {
+  if (!migrationPromise) {
+    migrationPromise = migrateStorage();
+    migrationPromise.catch(() => { migrationPromise = null; });
+  }
+  return migrationPromise;
+}
@@ -0,0 +1,124 @@
+/**
+ * background/notifications.js
+ *
+ * 失效通知: 备份时发现已备份的视频失效了，弹出桌面通知
+ *   - 每次备份任务最多弹出一条通知，列出这次新失效的视频标题和失效原因
+ *   - 可以在选项页中按收藏夹关闭通知 (每个账号分开设置)
+ *   - 点击通知打开失效视频所在的收藏夹页面
+ *
+ * 回滚通知: 全量备份会删除过多的记录、已经回滚到备份前的快照时弹出 (见 background/snapshots.js)，点击通知打开选项页确认
+ */
+
+
+// 按账号分开存储，实际键名为 `${键名}_${用户ID}`，通过 getAccountStorage / setAccountStorage 读写
+const STORAGE_NOTIFY_MUTED_KEY = "notify_muted_folders";   // 关闭了失效通知的收藏夹ID列表
+
+// 通知ID的前缀，完整格式为 `${前缀}:${用户ID}:${收藏夹ID列表}:${时间戳}`
+// 点击通知时从ID中解析出要打开的收藏夹 (service worker 可能在点击前就已经被回收了，不能依赖内存中的状态)
+const NOTIFICATION_INVALID_PREFIX = "invalid-videos";
+const NOTIFICATION_SNAPSHOT_PREFIX = "snapshot-held";   // 回滚通知，完整格式为 `${前缀}:${用户ID}:${时间戳}`
+
+const NOTIFICATION_MAX_ITEMS = 5;   // 通知中最多列出的视频个数，其余的只显示个数
+
+
+/**
+ * 收藏夹页面的地址
+ *
+ * @param {number} mid - 用户ID
+ * @param {number} favId - 收藏夹ID
+ * @returns {string} URL
+ */
+const getFavlistUrl = (mid, favId) => String(favId).startsWith("watchlater_")
+  ? "https://www.bilibili.com/watchlater/list"   // 稍后再看
+  : favId < 0
+  ? `https://space.bilibili.com/${mid}/favlist?fid=${-favId}&ftype=collect&ctype=21`   // 订阅的合集 (ID 为负数)
+  : `https://space.bilibili.com/${mid}/favlist?fid=${favId}`;
+
+/**
+ * 获取某个账号下关闭了失效通知的收藏夹
+ *
+ * @param {number} mid - 用户ID
+ * @returns {Promise<number[]>} 收藏夹ID列表
+ */
+const getMutedFolders = async (mid) => {
+  const { [STORAGE_NOTIFY_MUTED_KEY]: muted = [] } = await getAccountStorage(mid, [STORAGE_NOTIFY_MUTED_KEY]);
+  return muted;
+}
+
+/**
+ * 打开或关闭某个收藏夹的失效通知
+ *
+ * @param {number} mid - 用户ID
+ * @param {number} favId - 收藏夹ID
+ * @param {boolean} muted - 是否关闭通知
+ */
+const setFolderMuted = async (mid, favId, muted) => {
+  const current = (await getMutedFolders(mid)).filter(id => id !== favId);
+  await setAccountStorage(mid, { [STORAGE_NOTIFY_MUTED_KEY]: muted ? [...current, favId] : current });
+}
+
+/**
+ * 为这次备份新发现失效的视频弹出一条通知 (关闭了通知的收藏夹中的视频除外)
+ *
+ * @param {number} mid - 用户ID
+ * @param {Array<Object>} videos - 新失效的视频 { favId, bvid, title, attr, status }
+ */
+const notifyInvalidVideos = async (mid, videos) => {
+  const muted = await getMutedFolders(mid);
+  const targets = videos.filter(video => !muted.includes(video.favId));
+  if (targets.length === 0) return;
+
+  const favIds = Array.from(new Set(targets.map(video => video.favId)));
+  const items = targets.slice(0, NOTIFICATION_MAX_ITEMS).map(video => ({
+    title: video.title || video.bvid,
+    message: VIDEO_STATUS_NAMES[video.status ?? statusFromAttr(video.attr)],   // 旧版本的检查点中没有 status
+  }));
+  if (targets.length > NOTIFICATION_MAX_ITEMS) {
+    items.push({ title: `还有 ${targets.length - NOTIFICATION_MAX_ITEMS} 个视频`, message: "" });
+  }
+
+  await chrome.notifications.create(`${NOTIFICATION_INVALID_PREFIX}:${mid}:${favIds.join(",")}:${Date.now()}`, {
+    type: "list",
+    iconUrl: "images/icon128.png",
+    title: `有 ${targets.length} 个已备份的视频失效了`,
+    message: items.map(item => item.title).join("\n"),   // 不支持列表样式的平台只显示 message
+    items,
+  });
+}
+
+
+/**
+ * 全量备份会删除过多的记录、已经回滚时弹出通知
+ *
+ * @param {number} mid - 用户ID
+ * @param {Object} diff - 和备份前快照的比较结果，见 diffSnapshot
+ */
+const notifySnapshotHeld = async (mid, diff) => {
+  await chrome.notifications.create(`${NOTIFICATION_SNAPSHOT_PREFIX}:${mid}:${Date.now()}`, {
+    type: "basic",
+    iconUrl: "images/icon128.png",
+    title: "全量备份会删除过多的记录，已回滚",
+    message: `会删除 ${diff.removed}/${diff.total} 条收藏记录，其中 ${diff.removedInvalid} 个是已备份的失效视频。点击打开设置页确认`,
+    requireInteraction: true,
+  });
+}
+
+
+// 点击失效通知时，打开失效视频所在的收藏夹页面；点击回滚通知时，打开选项页
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  const [prefix, mid, favIds] = notificationId.split(":");
+  if (prefix !== NOTIFICATION_INVALID_PREFIX && prefix !== NOTIFICATION_SNAPSHOT_PREFIX) return;
+
+  try {
+    if (prefix === NOTIFICATION_SNAPSHOT_PREFIX) {
+      await chrome.runtime.openOptionsPage();
+    } else {
+      for (const favId of favIds.split(",")) {
+        await chrome.tabs.create({ url: getFavlistUrl(mid, favId) });
+      }
+    }
+    await chrome.notifications.clear(notificationId);
+  } catch (err) {
+    console.error(err);
+  }
+});
@@ -0,0 +1,173 @@
+/**
+ * background/request.js
+ *
+ * 请求B站 API (以及封面图片): 控制请求频率、失败重试、识别限流
+ *   - 所有请求排队发出，相邻两次请求之间至少间隔当前的请求间隔 (带随机抖动)
+ *   - 请求间隔自适应: 被限流时加倍，请求成功后逐渐恢复到设置中的 requestDelay
+ *   - 被限流、网络错误、服务器错误时，按指数退避 (带随机抖动) 重试，重试多次仍被限流时抛出 RateLimitError，由备份任务暂停
+ *   - 修改B站上数据的 POST 请求 (新建收藏夹等) 需要带上 CSRF token，见 postFromExt。这些请求不是幂等的，
+ *     网络错误、服务器错误时B站可能已经执行了修改，只在明确被限流 (请求被拒绝) 时重试
+ */
+
+
+// 表示被限流或触发风控的响应
+const THROTTLE_CODES = [-412, -352, -799];   // 响应体中的 code: -412 请求被拦截、-352 风控校验失败、-799 请求过于频繁
+const THROTTLE_STATUSES = [412, 429];        // HTTP 状态码
+
+const REQUEST_MAX_RETRIES = 4;           // 最多重试次数
+const REQUEST_BACKOFF_BASE = 2000;       // 第一次重试前等待的时间 (毫秒)，之后每次加倍
+const REQUEST_MAX_INTERVAL = 30 * 1000;  // 自适应请求间隔的上限 (毫秒)
+
+const CSRF_COOKIE_NAME = "bili_jct";     // 登录后保存 CSRF token 的 cookie
+
+
+/**
+ * 被B站限流 (重试多次后仍然失败)
+ */
+class RateLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RateLimitError";
+  }
+}
+
+/**
+ * 当前的请求间隔 (毫秒)，不小于设置中的 requestDelay
+ */
+let requestInterval = 0;
+
+/**
+ * 下一个请求最早可以发出的时间
+ */
+let nextRequestTime = 0;
+
+
+/**
+ * 等待一段时间
+ *
+ * @param {number} ms - 毫秒
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 加上 ±25% 的随机抖动，避免请求间隔过于规律
+ *
+ * @param {number} ms - 毫秒
+ * @returns {number} 抖动后的毫秒数
+ */
+const withJitter = (ms) => ms * (0.75 + Math.random() * 0.5);
+
+/**
+ * 排队等待发出请求的时机
+ *
+ * @returns {Promise<number>} 设置中的请求间隔 requestDelay
+ */
+const waitForTurn = async () => {
+  const { requestDelay } = await getSettings();
+  requestInterval = Math.max(requestInterval, requestDelay);
+
+  // 先预约下一个时间段再等待，同时发出的多个请求会依次排队
+  const now = Date.now();
+  const wait = Math.max(0, nextRequestTime - now);
+  nextRequestTime = Math.max(now, nextRequestTime) + withJitter(requestInterval);
+  await sleep(wait);
+  return requestDelay;
+}
+
+/**
+ * 发送一次请求
+ *
+ * @param {string} url - 请求的URL
+ * @param {string} method - HTTP请求方法
+ * @param {URLSearchParams} [body] - 请求体 (表单)
+ * @param {string} [responseType] - 响应的类型 json | blob
+ * @returns {Promise<Object>} { res: 响应数据 } 或 { throttled: 是否被限流, reason: 失败原因 } (需要重试)
+ * @throws {Error} 不需要重试的错误 (如 404)
+ */
+const sendRequest = async (url, method, body, responseType) => {
+  let response;
+  try {
+    response = await fetch(url, { method: method || "GET", body });
+  } catch (err) {
+    return { throttled: false, reason: `网络错误: ${err.message}` };
+  }
+
+  if (THROTTLE_STATUSES.includes(response.status)) {
+    return { throttled: true, reason: `状态码: ${response.status}` };
+  }
+  if (response.status >= 500) {
+    return { throttled: false, reason: `状态码: ${response.status}` };
+  }
+  if (!response.ok) {
+    throw new Error(`API请求失败, 状态码: ${response.status}`);
+  }
+  if (responseType === "blob") {
+    return { res: await response.blob() };
+  }
+
+  const res = await response.json();
+  if (THROTTLE_CODES.includes(res.code)) {
+    return { throttled: true, reason: `code: ${res.code}${res.message ? ` ${res.message}` : ""}` };
+  }
+  return { res };
+}
+
+/**
+ * 请求B站 API (排队、重试、识别限流)
+ *
+ * @param {string} url - 请求的URL
+ * @param {string} method - HTTP请求方法，默认为GET
+ * @param {URLSearchParams} [body] - 请求体 (表单)
+ * @param {Object} [options] - { responseType: 响应的类型 json (默认) | blob, idempotent: 网络错误、服务器错误时是否重试 (默认 true) }
+ * @returns {Promise<Object>} 返回一个Promise对象，解析为响应数据
+ * @throws {RateLimitError} 重试多次后仍被限流
+ * @throws {Error} 其他请求错误
+ */
+const fetchFromExt = async (url, method, body, { responseType = "json", idempotent = true } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    const requestDelay = await waitForTurn();
+    const { res, throttled, reason } = await sendRequest(url, method, body, responseType);
+
+    if (res) {
+      // 请求成功，请求间隔逐渐恢复
+      requestInterval = Math.max(requestDelay, requestInterval * 0.8);
+      return res;
+    }
+
+    if (throttled) {
+      // 被限流，放慢之后所有请求的频率
+      requestInterval = Math.min(REQUEST_MAX_INTERVAL, requestInterval * 2);
+    }
+    if (!throttled && !idempotent) {
+      throw new Error(`API请求失败 (${reason})，B站可能已经执行了这次修改`);
+    }
+    if (attempt >= REQUEST_MAX_RETRIES) {
+      throw throttled
+        ? new RateLimitError(`请求被B站限流 (${reason})`)
+        : new Error(`API请求失败 (${reason})`);
+    }
+
+    const backoff = withJitter(REQUEST_BACKOFF_BASE * 2 ** attempt);
+    console.warn(`请求失败 (${reason})，${Math.round(backoff / 1000)} 秒后第 ${attempt + 1} 次重试: ${url}`);
+    await sleep(backoff);
+  }
+}
+
+/**
+ * 发送修改B站上数据的 POST 请求 (新建收藏夹、添加或删除收藏等)，自动带上 CSRF token
+ *
+ * 只在被限流时重试，网络错误、服务器错误时直接抛出，由用户确认B站上的结果后再重试
+ *
+ * @param {string} url - 请求的URL
+ * @param {Object} params - 表单参数 (不包括 csrf)
+ * @returns {Promise<Object>} 响应数据
+ * @throws {RateLimitError} 重试多次后仍被限流
+ * @throws {Error} 没有登录B站、网络错误、服务器错误等
+ */
+const postFromExt = async (url, params) => {
+  const cookie = await chrome.cookies.get({ url: "https://www.bilibili.com", name: CSRF_COOKIE_NAME });
+  if (!cookie?.value) {
+    throw new Error("没有登录B站，无法修改收藏夹");
+  }
+  return fetchFromExt(url, "POST", new URLSearchParams({ ...params, csrf: cookie.value }), { idempotent: false });
+}
@@ -0,0 +1,487 @@
+/**
+ * background/resolvers.js
+ *
+ * 失效视频标题的其他来源: 安装插件之前就已经失效的视频没有备份，在收藏夹页面上替换标题时，依次尝试用户配置的来源
+ *   - 导入的数据: 其他工具导出的 JSON / CSV 文件 (包括本插件导出的文件)，导入后保存在 IndexedDB 中
+ *   - 查询接口: 自己搭建的 HTTP 接口，URL 模板中的 {bvid} / {avid} 替换为视频的BV号 / AV号，返回 JSON { title, up, intro }
+ *   - 网页存档: 网页存档服务的 URL 模板 (如 https://web.archive.org/web/2020/https://www.bilibili.com/video/{bvid})，从存档的视频页面中提取标题
+ *
+ * 查询结果 (包括没查到) 缓存在 titles 中，同一个视频不会重复查询，没查到的过一段时间后再重新查询
+ * 查到的标题同时写入视频的备份 (titleSource 字段记录来源)，和插件自己备份的标题一样用于搜索、导出等，并在悬停卡片中标注来源
+ * 在线查询比较慢，不阻塞替换标题: 先返回已有的结果，查到后再通知页面 (见 getInvalidMediaBackups)
+ */
+
+
+const STORAGE_RESOLVERS_KEY = "title_resolvers";   // chrome.storage.local 中保存的来源配置 { endpoint: URL 模板, archive: URL 模板 }，为空表示不使用
+
+const TITLE_PROVIDER_DUMP = "dump";         // 导入的数据
+const TITLE_PROVIDER_ENDPOINT = "endpoint"; // 查询接口
+const TITLE_PROVIDER_ARCHIVE = "archive";   // 网页存档
+
+const TITLE_RETRY_DAYS = 7;          // 没查到的视频，过多少天后重新查询
+const TITLE_LOOKUP_LIMIT = 10;       // 每次替换标题时最多查询的视频个数，避免一页失效视频太多时发出大量请求
+const TITLE_LOOKUP_TIMEOUT = 10000;  // 每次查询的超时时间 (毫秒)
+
+// B站视频页面标题的后缀，以及视频不存在时的页面标题
+const BILIBILI_TITLE_SUFFIX = /_哔哩哔哩_bilibili$/;
+const BILIBILI_INVALID_TITLES = ["已失效视频", "出错啦! - bilibili.com", "哔哩哔哩 (゜-゜)つロ 干杯~-bilibili", "视频去哪了呢？_哔哩哔哩_bilibili"];
+
+// 导入 CSV 文件时识别的列名 (本插件导出的 CSV 使用中文列名)
+const DUMP_CSV_COLUMNS = {
+  bvid: ["bvid", "BV号"],
+  title: ["title", "标题"],
+  up: ["up", "author", "UP主名称"],
+  intro: ["intro", "简介"],
+};
+
+
+/**
+ * 获取来源配置
+ *
+ * @returns {Promise<Object>} { endpoint, archive }
+ */
+const getTitleResolvers = async () => {
+  const { [STORAGE_RESOLVERS_KEY]: saved = {} } = await chrome.storage.local.get([STORAGE_RESOLVERS_KEY]);
+  return { endpoint: saved.endpoint || "", archive: saved.archive || "" };
+}
+
+/**
+ * 校验并保存来源配置
+ *
+ * 修改了URL模板后，之前没查到的结果不再有效，一起清除 (查到了的结果保留)
+ *
+ * @param {Object} resolvers - { endpoint, archive }
+ * @returns {Promise<Object>} 保存后的配置
+ * @throws {Error} URL 模板格式错误
+ */
+const saveTitleResolvers = async (resolvers) => {
+  const current = await getTitleResolvers();
+  const saved = {};
+  for (const { key, label } of TITLE_PROVIDERS) {
+    const template = String(resolvers[key] || "").trim();
+    if (template && (!/^https?:\/\//.test(template) || !/\{(bvid|avid)\}/.test(template))) {
+      throw new Error(`「${label}」需要是 http(s) 开头、包含 {bvid} 或 {avid} 的URL`);
+    }
+    saved[key] = template;
+  }
+
+  await chrome.storage.local.set({ [STORAGE_RESOLVERS_KEY]: saved });
+  if (saved.endpoint !== current.endpoint || saved.archive !== current.archive) {
+    await clearTitles((record) => !record.title);
+  }
+  return saved;
+}
+
+
+/**
+ * BV号转换为AV号
+ *
+ * 算法来自 https://github.com/SocialSisterYi/bilibili-API-collect/blob/master/docs/misc/bvid_desc.md
+ *
+ * @param {string} bvid - BV号
+ * @returns {string} AV号 (数字字符串)
+ */
+const bvidToAvid = (bvid) => {
+  const XOR_CODE = 23442827791579n;
+  const MASK_CODE = 2251799813685247n;
+  const ALPHABET = "FcwAPNKTMug3GV5Lj7EJnHpWsx4tb8haYeviqBz6rkCy12mUSDQX9RdoZf";
+
+  const chars = bvid.split("");
+  [chars[3], chars[9]] = [chars[9], chars[3]];
+  [chars[4], chars[7]] = [chars[7], chars[4]];
+  let value = 0n;
+  for (const char of chars.slice(3)) {
+    value = value * 58n + BigInt(ALPHABET.indexOf(char));
+  }
+  return String((value & MASK_CODE) ^ XOR_CODE);
+}
+
+/**
+ * 替换 URL 模板中的占位符
+ *
+ * @param {string} template - URL 模板
+ * @param {string} bvid - BV号
+ * @returns {string} URL
+ */
+const fillUrlTemplate = (template, bvid) => template
+  .replace(/\{bvid\}/g, encodeURIComponent(bvid))
+  .replace(/\{avid\}/g, () => bvidToAvid(bvid));
+
+/**
+ * 发送请求，超时后中止
+ *
+ * @param {string} url - URL
+ * @returns {Promise<Response|null>} 响应，404 时返回 null (没查到)
+ * @throws {Error} 网络错误、超时、其他错误状态码
+ */
+const fetchWithTimeout = async (url) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TITLE_LOOKUP_TIMEOUT);
+  try {
+    const response = await fetch(url, { signal: controller.signal, credentials: "omit" });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`状态码: ${response.status}`);
+    }
+    return response;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 去掉页面标题的后缀，排除视频不存在时的标题
+ *
+ * @param {string} [title] - 页面标题
+ * @returns {string|null} 视频标题
+ */
+const cleanVideoTitle = (title) => {
+  const text = title?.trim().replace(BILIBILI_TITLE_SUFFIX, "");
+  if (!text || BILIBILI_INVALID_TITLES.includes(text) || BILIBILI_INVALID_TITLES.includes(title.trim())) return null;
+  return text;
+}
+
+/**
+ * 解码 HTML 实体
+ *
+ * @param {string} text - 文本
+ * @returns {string} 解码后的文本
+ */
+const decodeHtmlEntities = (text) => text
+  .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&lt;/g, "<")
+  .replace(/&gt;/g, ">")
+  .replace(/&amp;/g, "&");
+
+/**
+ * 从 HTML 中读取 meta 标签的内容
+ *
+ * @param {string} html - HTML
+ * @param {string} name - meta 标签的 name 或 property
+ * @returns {string|undefined} 内容
+ */
+const getMetaContent = (html, name) => {
+  const tag = html.match(new RegExp(`<meta[^>]+(?:name|property)=["']${name}["'][^>]*>`, "i"))?.[0];
+  const content = tag?.match(/content=["']([^"']*)["']/i)?.[1];
+  return content === undefined ? undefined : decodeHtmlEntities(content);
+}
+
+/**
+ * 用查询接口查询视频信息
+ *
+ * 接口返回 { title, up, intro }，也可以包在 data 字段中；up 可以是名称，也可以是 { mid, name }
+ *
+ * @param {string} template - URL 模板
+ * @param {string} bvid - BV号
+ * @returns {Promise<Object|null>} { title, up, intro }，没查到时返回 null
+ */
+const resolveFromEndpoint = async (template, bvid) => {
+  const response = await fetchWithTimeout(fillUrlTemplate(template, bvid));
+  if (!response) return null;
+  const res = await response.json();
+  const data = res?.data && typeof res.data === "object" ? res.data : res;
+  const title = typeof data?.title === "string" ? cleanVideoTitle(data.title) : null;
+  if (!title) return null;
+  return {
+    title,
+    up: typeof data.up === "string" ? { name: data.up } : data.up?.name ? data.up : undefined,
+    intro: typeof data.intro === "string" ? data.intro : "",
+  };
+}
+
+/**
+ * 从网页存档中提取视频信息
+ *
+ * @param {string} template - URL 模板
+ * @param {string} bvid - BV号
+ * @returns {Promise<Object|null>} { title, up, intro }，没有存档或存档的页面中没有视频标题时返回 null
+ */
+const resolveFromArchive = async (template, bvid) => {
+  const response = await fetchWithTimeout(fillUrlTemplate(template, bvid));
+  if (!response) return null;
+  const html = await response.text();
+  const pageTitle = html.match(/<title[^>]*>([^<]*)<\/title>/i)?.[1];
+  const title = cleanVideoTitle(getMetaContent(html, "og:title") ?? (pageTitle && decodeHtmlEntities(pageTitle)));
+  if (!title) return null;
+  const author = getMetaContent(html, "author");
+  return {
+    title,
+    up: author ? { name: author } : undefined,
+    intro: getMetaContent(html, "description") || "",
+  };
+}
+
+/**
+ * 在线查询的来源，按顺序尝试
+ */
+const TITLE_PROVIDERS = [
+  { key: TITLE_PROVIDER_ENDPOINT, label: "查询接口", resolve: resolveFromEndpoint },
+  { key: TITLE_PROVIDER_ARCHIVE, label: "网页存档", resolve: resolveFromArchive },
+];
+
+
+/**
+ * 读取没有备份的失效视频在导入的数据和缓存中的标题 (不发送请求)
+ *
+ * @param {Array<string>} bvids - BV号
+ * @returns {Promise<Object>} { resolved: { [bvid]: { title, up, intro, source: 来源的说明 } }, pending: 需要在线查询的BV号 }
+ */
+const getCachedTitles = async (bvids) => {
+  if (bvids.length === 0) return { resolved: {}, pending: [] };
+
+  const cached = await runTransaction(DB_STORE_TITLES, "readonly", async (transaction) => {
+    const store = transaction.objectStore(DB_STORE_TITLES);
+    const records = {};
+    for (const bvid of bvids) {
+      const record = await promisifyRequest(store.get(bvid));
+      if (record) records[bvid] = record;
+    }
+    return records;
+  });
+
+  const resolved = {};
+  const pending = [];
+  const retryBefore = Date.now() - TITLE_RETRY_DAYS * 24 * 60 * 60 * 1000;
+  for (const bvid of bvids) {
+    const record = cached[bvid];
+    if (record?.title) {
+      resolved[bvid] = { title: record.title, up: record.up, intro: record.intro, source: record.source };
+    } else if (!record || record.resolvedAt < retryBefore) {
+      pending.push(bvid);   // 没有结果，或没查到的结果已经过期
+    }
+  }
+
+  // 没有配置在线查询的来源时不需要查询
+  const resolvers = await getTitleResolvers();
+  return { resolved, pending: TITLE_PROVIDERS.some(provider => resolvers[provider.key]) ? pending : [] };
+}
+
+/**
+ * 依次用配置的来源在线查询视频标题，缓存查询结果
+ *
+ * 出错 (网络错误、超时) 的视频不缓存，下次再查
+ *
+ * @param {Array<string>} bvids - BV号 (见 getCachedTitles 返回的 pending)，最多查询 TITLE_LOOKUP_LIMIT 个
+ * @returns {Promise<Object>} { [bvid]: { title, up, intro, source: 来源的说明 } }，只包含查到了的视频
+ */
+const lookupTitles = async (bvids) => {
+  const resolvers = await getTitleResolvers();
+  const providers = TITLE_PROVIDERS.filter(provider => resolvers[provider.key]);
+  if (providers.length === 0) return {};
+
+  const results = {};
+  const resolved = [];
+  for (const bvid of bvids.slice(0, TITLE_LOOKUP_LIMIT)) {
+    let record = null;
+    let failed = false;
+    for (const provider of providers) {
+      try {
+        const info = await provider.resolve(resolvers[provider.key], bvid);
+        if (info) {
+          record = { bvid, ...info, provider: provider.key, source: `${provider.label} (${new URL(resolvers[provider.key]).host})` };
+          break;
+        }
+      } catch (err) {
+        failed = true;
+        console.warn(`用${provider.label}查询 ${bvid} 的标题失败:`, err);
+      }
+    }
+    if (record) {
+      results[bvid] = { title: record.title, up: record.up, intro: record.intro, source: record.source };
+    }
+    if (record || !failed) {
+      resolved.push(record || { bvid, title: null });   // 所有来源都没查到
+    }
+  }
+
+  if (resolved.length > 0) {
+    const resolvedAt = Date.now();
+    await runTransaction(DB_STORE_TITLES, "readwrite", async (transaction) => {
+      const store = transaction.objectStore(DB_STORE_TITLES);
+      for (const record of resolved) {
+        store.put({ ...record, resolvedAt });
+      }
+    });
+  }
+  return results;
+}
+
+
+/**
+ * 解析 CSV (支持引号包裹的字段、字段中的换行)
+ *
+ * @param {string} text - CSV 文本
+ * @returns {Array<Array<string>>} 每一行的字段
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * 从 CSV 文件中读取视频标题，第一行是列名 (见 DUMP_CSV_COLUMNS)
+ *
+ * @param {string} text - CSV 文本
+ * @returns {Array<Object>} [{ bvid, title, up, intro }]
+ * @throws {Error} 没有BV号或标题列
+ */
+const parseCsvDump = (text) => {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  const columns = Object.fromEntries(Object.entries(DUMP_CSV_COLUMNS).map(
+    ([key, names]) => [key, header.findIndex(name => names.includes(name.trim()))]
+  ));
+  if (columns.bvid < 0 || columns.title < 0) {
+    throw new Error("CSV 文件的第一行需要包含 bvid (或 BV号) 和 title (或 标题) 列");
+  }
+  return rows.map(row => ({
+    bvid: row[columns.bvid],
+    title: row[columns.title],
+    up: columns.up >= 0 && row[columns.up] ? { name: row[columns.up] } : undefined,
+    intro: columns.intro >= 0 ? row[columns.intro] : "",
+  }));
+}
+
+/**
+ * 从 JSON 文件中读取视频标题，支持以下格式:
+ *   - 本插件导出的备份文件
+ *   - 数组 [{ bvid, title, up, intro }]
+ *   - 对象 { [bvid]: title } 或 { [bvid]: { title, up, intro } }
+ *
+ * @param {string} text - JSON 文本
+ * @returns {Array<Object>} [{ bvid, title, up, intro }]
+ * @throws {Error} 格式错误
+ */
+const parseJsonDump = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error("文件不是有效的 JSON");
+  }
+
+  const entries = data?.format === EXPORT_FORMAT && Array.isArray(data.folders) ? data.folders.flatMap(folder => folder.medias || [])
+    : Array.isArray(data) ? data
+    : data && typeof data === "object" ? Object.entries(data).map(([bvid, value]) => typeof value === "string" ? { bvid, title: value } : { ...value, bvid })
+    : null;
+  if (!entries) {
+    throw new Error("无法识别的 JSON 格式");
+  }
+  return entries.map(entry => ({
+    bvid: entry?.bvid,
+    title: entry?.title,
+    up: typeof entry?.up === "string" ? { name: entry.up } : entry?.up?.name ? entry.up : undefined,
+    intro: typeof entry?.intro === "string" ? entry.intro : "",
+  }));
+}
+
+/**
+ * 导入其他来源的视频标题，覆盖已有的导入数据和查询结果
+ *
+ * @param {string} text - 文件内容
+ * @param {string} filename - 文件名，用于判断格式和标注来源
+ * @returns {Promise<Object>} { imported: 导入的视频个数, skipped: 跳过的行数 (没有BV号或标题) }
+ * @throws {Error} 格式错误
+ */
+const importTitleDump = async (text, filename) => {
+  const entries = /\.csv$/i.test(filename) ? parseCsvDump(text) : parseJsonDump(text);
+  const records = entries
+    .filter(entry => /^BV[0-9A-Za-z]{10}$/.test(entry.bvid) && typeof entry.title === "string" && cleanVideoTitle(entry.title))
+    .map(entry => ({
+      ...entry,
+      title: cleanVideoTitle(entry.title),
+      provider: TITLE_PROVIDER_DUMP,
+      source: `导入的数据 (${filename})`,
+      resolvedAt: Date.now(),
+    }));
+  if (records.length === 0) {
+    throw new Error("文件中没有可以导入的视频标题");
+  }
+
+  await runTransaction(DB_STORE_TITLES, "readwrite", async (transaction) => {
+    const store = transaction.objectStore(DB_STORE_TITLES);
+    for (const record of records) {
+      store.put(record);
+    }
+  });
+  return { imported: records.length, skipped: entries.length - records.length };
+}
+
+/**
+ * 获取每个来源的标题个数
+ *
+ * @returns {Promise<Object>} { dump: 导入的, resolved: 在线查到的, notFound: 没查到的 }
+ */
+const getTitleStats = async () => {
+  const records = await runTransaction(DB_STORE_TITLES, "readonly",
+    (transaction) => promisifyRequest(transaction.objectStore(DB_STORE_TITLES).getAll())
+  );
+  return {
+    dump: records.filter(record => record.provider === TITLE_PROVIDER_DUMP).length,
+    resolved: records.filter(record => record.provider !== TITLE_PROVIDER_DUMP && record.title).length,
+    notFound: records.filter(record => !record.title).length,
+  };
+}
+
+/**
+ * 清除符合条件的标题记录，以及已经从这些记录写入视频记录中的标题 (见 saveResolvedTitles)
+ *
+ * @param {Function} predicate - 参数为记录，返回 true 时删除
+ * @returns {Promise<number>} 删除的记录个数
+ */
+const clearTitles = async (predicate) => {
+  return runTransaction([DB_STORE_TITLES, DB_STORE_VIDEOS], "readwrite", async (transaction) => {
+    const store = transaction.objectStore(DB_STORE_TITLES);
+    const records = (await promisifyRequest(store.getAll())).filter(predicate);
+    for (const record of records) {
+      store.delete(record.bvid);
+      if (record.title) await removeResolvedTitle(transaction, record.bvid, record.source);
+    }
+    return records.length;
+  });
+}
+
+/**
+ * 清除导入的数据，或在线查询的结果 (包括没查到的，之后会重新查询)
+ *
+ * @param {string} kind - dump: 导入的数据 | lookup: 在线查询的结果
+ * @returns {Promise<number>} 删除的记录个数
+ */
+const clearTitleSource = (kind) => clearTitles(kind === TITLE_PROVIDER_DUMP
+  ? (record) => record.provider === TITLE_PROVIDER_DUMP
+  : (record) => record.provider !== TITLE_PROVIDER_DUMP);
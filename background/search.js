@@ -0,0 +1,203 @@
+/**
+ * background/search.js
+ *
+ * 全文搜索: 在所有账号的备份数据中搜索视频 (包括已失效的视频)
+ *   - 搜索范围: 标题、up主名称、BV号、AV号、简介、所在收藏夹名称
+ *   - 已经取消收藏的视频: 优先使用归档中的备份，归档过期后只能通过变更历史中记录的标题、up主、收藏夹搜索到
+ *
+ * 搜索索引 (每个视频的搜索结果和规范化后的字段) 缓存在内存中，备份数据被修改后下一次搜索时重新生成，
+ * 连续搜索时不需要每次都读取整个数据库
+ *
+ * 中文分词:
+ *   查询文本按空格拆分成多个关键词，每个关键词都要匹配 (子串匹配，所以不需要对备份数据分词)
+ *   关键词作为整体匹配不到时，用 Intl.Segmenter 把它切分成词语，所有词语都匹配也算匹配，
+ *   例如 "原神剧情解析" 可以搜到 "【原神】全剧情 深度解析"
+ */
+
+
+const SEARCH_MAX_RESULTS = 200;   // 最多返回的结果个数
+
+// 每个字段匹配时的得分，结果按总分排序
+const SEARCH_FIELD_WEIGHTS = {
+  id: 10,      // BV号、AV号 (完全相同)
+  title: 5,    // 标题
+  up: 3,       // up主名称
+  folder: 2,   // 收藏夹名称
+  intro: 1,    // 简介
+};
+
+const wordSegmenter = new Intl.Segmenter("zh", { granularity: "word" });
+
+// 生成搜索索引时读取的对象仓库
+const SEARCH_STORES = [DB_STORE_VIDEOS, DB_STORE_MEMBERSHIPS, DB_STORE_FOLDERS, DB_STORE_HISTORY, DB_STORE_ARCHIVE];
+
+/**
+ * 缓存的搜索索引 { version: 生成时对象仓库的版本 (见 getStoreVersion), entries: [{ item, doc }] }
+ */
+let searchIndex = null;
+
+
+/**
+ * 规范化文本: 全角字符转半角、英文转小写，搜索时忽略这些差异
+ *
+ * @param {*} text - 文本
+ * @returns {string} 规范化后的文本
+ */
+const normalizeText = (text) => String(text ?? "").normalize("NFKC").toLowerCase();
+
+/**
+ * 把查询文本拆分成关键词，每个关键词附带分词结果
+ *
+ * @param {string} query - 查询文本
+ * @returns {Array<Object>} [{ text: 关键词, words: 分词后的词语 (不包括标点符号) }]
+ */
+const tokenizeQuery = (query) => normalizeText(query).split(/\s+/).filter(Boolean).map(text => ({
+  text,
+  words: Array.from(wordSegmenter.segment(text))
+    .filter(segment => segment.isWordLike)
+    .map(segment => segment.segment),
+}));
+
+/**
+ * 计算某个关键词在一个搜索文档中的得分
+ *
+ * @param {Object} doc - 搜索文档 (字段均已规范化)
+ * @param {Object} term - 关键词
+ * @returns {number} 得分，0 表示不匹配
+ */
+const scoreTerm = (doc, term) => {
+  if (doc.ids.includes(term.text)) return SEARCH_FIELD_WEIGHTS.id;
+
+  let score = 0;
+  for (const field of ["title", "up", "folder", "intro"]) {
+    if (doc[field].includes(term.text)) {
+      score += SEARCH_FIELD_WEIGHTS[field];
+    } else if (term.words.length > 1 && term.words.every(word => doc[field].includes(word))) {
+      score += SEARCH_FIELD_WEIGHTS[field] / 2;   // 分词后匹配的得分减半
+    }
+  }
+  return score;
+}
+
+
+/**
+ * 汇总所有账号的备份数据，生成搜索结果 (未筛选)
+ *
+ * @returns {Promise<Array<Object>>} 每个视频一条 { bvid, avid, title, up, intro, attr, titleSource, status, invalid, unfavorited, folders: [{ mid, id, title }] }
+ */
+const collectSearchItems = () => runTransaction(SEARCH_STORES, "readonly", async (transaction) => {
+  const videos = await promisifyRequest(transaction.objectStore(DB_STORE_VIDEOS).getAll());
+  const memberships = await promisifyRequest(transaction.objectStore(DB_STORE_MEMBERSHIPS).getAll());
+  const folders = await promisifyRequest(transaction.objectStore(DB_STORE_FOLDERS).getAll());
+  const events = await promisifyRequest(transaction.objectStore(DB_STORE_HISTORY).getAll());
+  const archive = await promisifyRequest(transaction.objectStore(DB_STORE_ARCHIVE).getAll());
+
+  const folderMap = new Map(folders.map(folder => [folder.id, folder]));
+  const items = new Map();
+  for (const video of videos) {
+    if (!isBackedUp(video)) continue;
+    items.set(video.bvid, {
+      bvid: video.bvid,
+      avid: video.avid,
+      title: video.title,
+      up: video.up,
+      intro: video.intro,
+      attr: video.attr,
+      titleSource: video.titleSource,
+      status: getVideoStatus(video),
+      invalid: video.invalid === 1,
+      unfavorited: false,
+      folders: [],
+    });
+  }
+  for (const { bvid, favId, mid } of memberships) {
+    items.get(bvid)?.folders.push({ mid, id: favId, title: folderMap.get(favId)?.title });
+  }
+
+  // 已经取消收藏的视频，先使用归档中的备份，再使用变更历史中最近一次记录的信息
+  for (const entry of archive.sort((a, b) => b.archivedAt - a.archivedAt)) {
+    const item = items.get(entry.bvid);
+    if (item?.unfavorited) {
+      item.folders.push({ mid: entry.mid, id: entry.favId, title: entry.favTitle });
+    } else if (!item) {
+      const { video } = entry;
+      items.set(entry.bvid, {
+        bvid: video.bvid,
+        avid: video.avid,
+        title: video.title,
+        up: video.up,
+        intro: video.intro,
+        attr: video.attr,
+        titleSource: video.titleSource,
+        status: getVideoStatus(video),
+        invalid: video.invalid === 1,
+        unfavorited: true,
+        folders: [{ mid: entry.mid, id: entry.favId, title: entry.favTitle }],
+      });
+    }
+  }
+  for (const event of events.sort((a, b) => b.time - a.time)) {
+    if (items.has(event.bvid) || event.title === undefined) continue;
+    items.set(event.bvid, {
+      bvid: event.bvid,
+      title: event.title,
+      up: event.up,
+      unfavorited: true,
+      folders: [{ mid: event.mid, id: event.favId, title: event.favTitle }],
+    });
+  }
+  return Array.from(items.values());
+});
+
+/**
+ * 获取搜索索引，备份数据被修改过时重新生成
+ *
+ * @returns {Promise<Array<Object>>} [{ item: 搜索结果, doc: 搜索文档 (字段均已规范化) }]
+ */
+const getSearchIndex = async () => {
+  // 在读取之前记录版本，读取过程中数据被修改时，下一次搜索会重新生成
+  const version = getStoreVersion(SEARCH_STORES);
+  if (searchIndex?.version === version) return searchIndex.entries;
+
+  const entries = (await collectSearchItems()).map(item => ({
+    item,
+    doc: {
+      ids: [normalizeText(item.bvid), item.avid ? `av${item.avid}` : "", String(item.avid ?? "")].filter(Boolean),
+      title: normalizeText(item.title),
+      up: normalizeText(item.up?.name),
+      folder: normalizeText(item.folders.map(folder => folder.title).join(" ")),
+      intro: normalizeText(item.intro),
+    },
+  }));
+  searchIndex = { version, entries };
+  return entries;
+}
+
+/**
+ * 搜索备份数据
+ *
+ * @param {string} query - 查询文本，多个关键词用空格分开
+ * @param {string} [status] - 视频状态 valid | invalid，为空表示不限 (已经取消收藏的视频状态未知，只在不限状态时出现)
+ * @returns {Promise<Object>} { total: 匹配的结果个数, results: 按得分排序的前 SEARCH_MAX_RESULTS 个结果 }
+ */
+const searchBackup = async (query, status) => {
+  const terms = tokenizeQuery(query);
+  if (terms.length === 0) return { total: 0, results: [] };
+
+  const entries = (await getSearchIndex()).filter(({ item }) => {
+    if (!status) return true;
+    if (item.unfavorited) return false;
+    return status === "invalid" ? item.invalid : !item.invalid;
+  });
+
+  const results = [];
+  for (const { item, doc } of entries) {
+    const scores = terms.map(term => scoreTerm(doc, term));
+    if (scores.every(score => score > 0)) {
+      results.push({ ...item, score: scores.reduce((total, score) => total + score, 0) });
+    }
+  }
+
+  results.sort((a, b) => b.score - a.score);
+  return { total: results.length, results: results.slice(0, SEARCH_MAX_RESULTS) };
+}
@@ -0,0 +1,86 @@
+/**
+ * background/settings.js
+ *
+ * 用户设置 (在选项页中修改，保存在 chrome.storage.local 中)
+ *   - 备份时机: 全量备份的最小时间间隔、定期增量备份的时间间隔、alarm 超时时间
+ *   - 请求频率: 相邻两次请求的间隔、被限流后暂停的时间
+ *   - 增量备份升级为全量备份的阈值
+ *   - 重新检查失效视频的时间间隔和个数
+ *   - 归档的保留时间
+ *   - 备份快照: 回滚的阈值、保留的快照个数
+ */
+
+
+const STORAGE_SETTINGS_KEY = "settings";   // chrome.storage.local 中使用的键名 (所有账号共用一份设置)
+
+/**
+ * 每一项设置的默认值和取值范围
+ */
+const SETTING_DEFINITIONS = {
+  // 全量备份的最小时间间隔 (单位小时)
+  fullBackupInterval: { label: "全量备份的最小时间间隔", unit: "小时", default: 24, min: 1, max: 24 * 30 },
+  // 插件运行期间 定期执行增量备份的时间间隔 (单位分钟)
+  incrBackupInterval: { label: "定期增量备份的时间间隔", unit: "分钟", default: 60, min: 1, max: 24 * 60 },
+  // 实际触发时间 - 预定触发时间 > 这个值, 就认为 alarm 超时了 (单位分钟)
+  // 用来排除因 设备休眠 或 浏览器关闭 而延迟触发的 alarm (https://developer.chrome.com/docs/extensions/reference/api/alarms?hl=zh-cn)
+  alarmTimeout: { label: "定时任务的超时时间", unit: "分钟", default: 1, min: 1, max: 60 },
+  // 相邻两次请求B站 API 的最小间隔，被限流时会自动加大 (单位毫秒)
+  requestDelay: { label: "请求间隔", unit: "毫秒", default: 700, min: 100, max: 10000 },
+  // 重试多次后仍被B站限流时，暂停备份任务，等待这段时间后继续 (单位分钟)
+  rateLimitPause: { label: "被限流后暂停的时间", unit: "分钟", default: 30, min: 1, max: 24 * 60 },
+  // 增量备份需要发送的请求数 > 全量备份需要发送的请求数 × 这个值时，升级为全量备份
+  incrUpgradeFactor: { label: "增量备份升级为全量备份的倍数", unit: "倍", default: 1, min: 0, max: 100 },
+  // 每次备份后最多为多少个视频补充点赞数和标签 (每个视频需要单独发送一次请求，设为 0 则不补充)
+  enrichLimit: { label: "每次补充详细信息的视频个数", unit: "个", default: 30, min: 0, max: 1000 },
+  // 已失效的视频每隔多久重新检查一次是否恢复了 (单位天)
+  recheckInterval: { label: "重新检查失效视频的时间间隔", unit: "天", default: 7, min: 1, max: 365 },
+  // 每次备份后最多重新检查多少个失效视频 (每个视频需要单独发送一次请求，设为 0 则不检查)
+  recheckLimit: { label: "每次重新检查的失效视频个数", unit: "个", default: 20, min: 0, max: 1000 },
+  // 封面存档的最大占用空间，超出后清理最久没有使用的封面 (单位MB，设为 0 则不存档封面)
+  coverQuota: { label: "封面存档的最大占用空间", unit: "MB", default: 100, min: 0, max: 4096 },
+  // 每次备份后最多存档多少张封面 (每张封面需要单独发送一次请求)
+  coverLimit: { label: "每次存档的封面个数", unit: "个", default: 50, min: 1, max: 1000 },
+  // 取消收藏、收藏夹被删除后，视频的备份在归档中保留的时间 (单位天)
+  archiveRetention: { label: "归档的保留时间", unit: "天", default: 180, min: 1, max: 3650 },
+  // 全量备份删除的收藏记录超过备份前的这个比例时，回滚到备份前的快照，等待用户确认 (单位百分比)
+  rollbackThreshold: { label: "全量备份删除记录的比例上限", unit: "%", default: 20, min: 1, max: 100 },
+  // 每个账号保留的备份快照个数
+  snapshotCount: { label: "保留的备份快照个数", unit: "个", default: 5, min: 1, max: 50 },
+};
+
+
+/**
+ * 读取设置，未设置的项使用默认值
+ *
+ * @returns {Promise<Object>} 完整的设置
+ */
+const getSettings = async () => {
+  const { [STORAGE_SETTINGS_KEY]: saved = {} } = await chrome.storage.local.get([STORAGE_SETTINGS_KEY]);
+  return Object.fromEntries(Object.entries(SETTING_DEFINITIONS).map(
+    ([key, definition]) => [key, saved[key] ?? definition.default]
+  ));
+}
+
+/**
+ * 校验并保存设置，只会保存已定义的设置项
+ *
+ * @param {Object} settings - 要修改的设置项
+ * @returns {Promise<Object>} 保存后完整的设置
+ * @throws {Error} 设置项的值不是数字、或超出取值范围
+ */
+const saveSettings = async (settings) => {
+  const current = await getSettings();
+  for (const [key, value] of Object.entries(settings)) {
+    const definition = SETTING_DEFINITIONS[key];
+    if (!definition) continue;
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < definition.min || number > definition.max) {
+      throw new Error(`「${definition.label}」的取值范围是 ${definition.min} ~ ${definition.max}`);
+    }
+    current[key] = number;
+  }
+
+  await chrome.storage.local.set({ [STORAGE_SETTINGS_KEY]: current });
+  return current;
+}
@@ -0,0 +1,302 @@
+/**
+ * background/snapshots.js
+ *
+ * 备份快照: 全量备份会删除收藏夹中已经没有的视频、已经不存在的收藏夹，B站接口返回了不完整的数据时，可能误删大量备份
+ *   - 每次全量备份开始前，保存当前账号的快照 (收藏夹列表、对应关系、视频记录、归档)
+ *   - 备份完所有收藏夹后和快照比较: 删除的对应关系超过设置中的比例 (rollbackThreshold)，或者删除了已备份的失效视频时，
+ *     回滚到快照并弹出通知，等待用户在选项页中确认 (确认后重新执行一次全量备份，不再检查)
+ *     稍后再看中的视频看完就会被移除，不参与比较
+ *   - 每个账号保留最近的若干个快照 (设置中的 snapshotCount)，可以在选项页中手动恢复。等待确认的快照不计入个数、不会被清理
+ */
+
+
+// 快照的状态
+const SNAPSHOT_STATUS_OK = "ok";                 // 正常 (备份没有删除过多的记录，或者还在备份中)
+const SNAPSHOT_STATUS_HELD = "held";             // 备份会删除过多的记录，已经回滚到快照，等待用户确认
+const SNAPSHOT_STATUS_CONFIRMED = "confirmed";   // 用户确认了删除，已经重新备份
+const SNAPSHOT_STATUS_DISMISSED = "dismissed";   // 用户选择保持回滚后的备份
+
+// 保存快照的原因
+const SNAPSHOT_REASON_BACKUP = "backup";     // 全量备份前
+const SNAPSHOT_REASON_RESTORE = "restore";   // 手动恢复快照前 (恢复之后还可以再恢复回来)
+
+// 按账号分开存储，实际键名为 `${键名}_${用户ID}`，通过 getAccountStorage / setAccountStorage 读写
+const STORAGE_SNAPSHOT_OVERRIDE_KEY = "snapshot_override";   // 用户确认了删除的快照ID，下一次全量备份不检查删除的记录
+
+const SNAPSHOT_MIN_REMOVED = 10;         // 删除的对应关系少于这个数时不按比例检查 (备份的视频很少时，取消收藏几个视频就会超过比例)
+const SNAPSHOT_DIFF_MAX_ITEMS = 20;      // 快照的比较结果中最多列出的被删除的失效视频个数
+
+
+/**
+ * 全量备份会删除过多的记录，已经回滚到快照 (这次备份的结果全部作废，不再发送失效通知)，diff 为和快照的比较结果
+ */
+class SnapshotHeldError extends Error {
+  constructor(message, diff) {
+    super(message);
+    this.name = "SnapshotHeldError";
+    this.diff = diff;
+  }
+}
+
+
+/**
+ * 在事务中读取某个账号当前的备份数据
+ *
+ * @param {IDBTransaction} transaction - 包含 folders、memberships、videos、archive 的事务
+ * @param {number} mid - 用户ID
+ * @returns {Promise<Object>} { folders, memberships, videos, archive }
+ */
+const readAccountState = async (transaction, mid) => {
+  const folders = await promisifyRequest(transaction.objectStore(DB_STORE_FOLDERS).index("mid").getAll(mid));
+  const memberships = await promisifyRequest(transaction.objectStore(DB_STORE_MEMBERSHIPS).index("mid").getAll(mid));
+  const archive = await promisifyRequest(transaction.objectStore(DB_STORE_ARCHIVE).index("mid").getAll(mid));
+  const videoStore = transaction.objectStore(DB_STORE_VIDEOS);
+  const bvids = Array.from(new Set(memberships.map(membership => membership.bvid)));
+  const videos = (await Promise.all(bvids.map(bvid => promisifyRequest(videoStore.get(bvid))))).filter(Boolean);
+  return { folders, memberships, videos, archive };
+}
+
+/**
+ * 快照的摘要 (不包含备份数据本身)
+ *
+ * @param {Object} snapshot - 快照
+ * @returns {Object} { id, mid, createdAt, reason, status, diff, counts }
+ */
+const summarizeSnapshot = ({ id, mid, createdAt, reason, status, diff, folders, memberships, videos }) => ({
+  id, mid, createdAt, reason, status, diff,
+  counts: {
+    folders: folders.length,
+    memberships: memberships.length,
+    backedUp: videos.filter(hasOwnBackup).length,
+  },
+});
+
+/**
+ * 保存某个账号当前备份数据的快照，并删除超出保留个数的旧快照 (等待确认的快照除外，否则确认前就没有可以回滚到的快照了)
+ *
+ * @param {number} mid - 用户ID
+ * @param {string} reason - 保存快照的原因 SNAPSHOT_REASON_*
+ * @returns {Promise<number>} 快照ID
+ */
+const createSnapshot = async (mid, reason) => {
+  const { snapshotCount } = await getSettings();
+  return runTransaction([DB_STORE_FOLDERS, DB_STORE_MEMBERSHIPS, DB_STORE_VIDEOS, DB_STORE_ARCHIVE, DB_STORE_SNAPSHOTS], "readwrite", async (transaction) => {
+    const state = await readAccountState(transaction, mid);
+    const store = transaction.objectStore(DB_STORE_SNAPSHOTS);
+    const id = await promisifyRequest(store.add({ mid, createdAt: Date.now(), reason, status: SNAPSHOT_STATUS_OK, diff: null, ...state }));
+
+    // 索引中的记录按自增ID升序排列，前面的是旧快照
+    const snapshots = await promisifyRequest(store.index("mid").getAll(mid));
+    const evictable = snapshots.filter(snapshot => snapshot.status !== SNAPSHOT_STATUS_HELD);
+    for (const snapshot of evictable.slice(0, Math.max(0, evictable.length - snapshotCount))) {
+      store.delete(snapshot.id);
+    }
+    return id;
+  });
+}
+
+/**
+ * 获取所有账号的快照摘要
+ *
+ * @returns {Promise<Array<Object>>} 快照摘要，按时间倒序
+ */
+const getSnapshots = () => runTransaction(DB_STORE_SNAPSHOTS, "readonly", async (transaction) => {
+  const snapshots = await promisifyRequest(transaction.objectStore(DB_STORE_SNAPSHOTS).getAll());
+  return snapshots.map(summarizeSnapshot).sort((a, b) => b.createdAt - a.createdAt);
+});
+
+/**
+ * 获取某个账号等待确认的快照 (最近一次)
+ *
+ * @param {number} mid - 用户ID
+ * @returns {Promise<Object|undefined>} 快照摘要
+ */
+const getHeldSnapshot = async (mid) => {
+  return (await getSnapshots()).find(snapshot => snapshot.mid === mid && snapshot.status === SNAPSHOT_STATUS_HELD);
+}
+
+/**
+ * 修改快照的状态
+ *
+ * @param {number} id - 快照ID
+ * @param {Object} fields - 要修改的字段 { status, diff }
+ * @returns {Promise<Object>} 修改后的快照摘要
+ * @throws {Error} 快照不存在
+ */
+const updateSnapshot = (id, fields) => runTransaction(DB_STORE_SNAPSHOTS, "readwrite", async (transaction) => {
+  const store = transaction.objectStore(DB_STORE_SNAPSHOTS);
+  const snapshot = await promisifyRequest(store.get(id));
+  if (!snapshot) {
+    throw new Error("快照不存在，可能已经被清理");
+  }
+  store.put({ ...snapshot, ...fields });
+  return summarizeSnapshot({ ...snapshot, ...fields });
+});
+
+
+/**
+ * 比较快照和当前的备份数据，统计被删除的记录
+ *
+ * 稍后再看的对应关系不统计 (看完的视频会被正常移除)，失效视频只统计插件自己备份过的 (不包括从其他来源查到标题的)
+ *
+ * @param {Object} snapshot - 快照
+ * @param {Object} state - 当前的备份数据，见 readAccountState
+ * @returns {Object} 比较结果
+ *   - total: 快照中的对应关系个数 (不包括稍后再看)
+ *   - removed: 被删除的对应关系个数 (取消收藏、收藏夹被删除)
+ *   - removedFolders: 被删除的收藏夹名称
+ *   - removedInvalid: 被删除的已备份失效视频的个数
+ *   - removedInvalidItems: 被删除的已备份失效视频 (最多 SNAPSHOT_DIFF_MAX_ITEMS 个) [{ favId, bvid, title }]
+ */
+const diffSnapshot = (snapshot, state) => {
+  const membershipKey = (membership) => `${membership.favId}|${membership.bvid}`;
+  const currentKeys = new Set(state.memberships.map(membershipKey));
+  const currentFolderIds = new Set(state.folders.map(folder => String(folder.id)));
+  const snapshotVideos = Object.fromEntries(snapshot.videos.map(video => [video.bvid, video]));
+
+  const memberships = snapshot.memberships.filter(membership => membership.favId !== watchLaterFolderId(snapshot.mid));
+
+  const removed = memberships.filter(membership => !currentKeys.has(membershipKey(membership)));
+  const removedInvalid = removed.filter(membership => {
+    const video = snapshotVideos[membership.bvid];
+    return hasOwnBackup(video) && video.invalid === 1;
+  });
+  return {
+    total: memberships.length,
+    removed: removed.length,
+    removedFolders: snapshot.folders.filter(folder => !currentFolderIds.has(String(folder.id))).map(folder => folder.title),
+    removedInvalid: removedInvalid.length,
+    removedInvalidItems: removedInvalid.slice(0, SNAPSHOT_DIFF_MAX_ITEMS).map(membership => ({
+      favId: membership.favId,
+      bvid: membership.bvid,
+      title: snapshotVideos[membership.bvid].title,
+    })),
+  };
+}
+
+/**
+ * 把某个账号的备份数据恢复为快照中的数据
+ *
+ *   - 收藏夹列表、对应关系、归档: 整体替换为快照中的数据
+ *   - 视频记录: 快照中的视频恢复为快照中的记录，快照之后新增的视频记录由 sweepOrphanVideos 清理
+ *   - 变更历史: 回滚时删除快照之后记录的变更历史 (这些变更已经被撤销了)，手动恢复时保留
+ *   - 被删除的收藏夹: 快照中仍然存在的收藏夹不再是被删除的收藏夹
+ *
+ * @param {Object} snapshot - 快照 (包含备份数据)
+ * @param {boolean} dropHistory - 是否删除快照之后记录的变更历史
+ */
+const applySnapshot = (snapshot, dropHistory) => runTransaction([DB_STORE_FOLDERS, DB_STORE_MEMBERSHIPS, DB_STORE_VIDEOS, DB_STORE_ARCHIVE, DB_STORE_HISTORY, DB_STORE_DELETED_FOLDERS], "readwrite", async (transaction) => {
+  const { mid } = snapshot;
+  for (const storeName of [DB_STORE_FOLDERS, DB_STORE_MEMBERSHIPS, DB_STORE_ARCHIVE]) {
+    const store = transaction.objectStore(storeName);
+    const keys = await promisifyRequest(store.index("mid").getAllKeys(mid));
+    keys.forEach(key => store.delete(key));
+  }
+
+  snapshot.folders.forEach(folder => transaction.objectStore(DB_STORE_FOLDERS).put(folder));
+  snapshot.memberships.forEach(membership => transaction.objectStore(DB_STORE_MEMBERSHIPS).put(membership));
+  snapshot.archive.forEach(entry => transaction.objectStore(DB_STORE_ARCHIVE).put(entry));
+  snapshot.videos.forEach(video => transaction.objectStore(DB_STORE_VIDEOS).put(video));
+  snapshot.folders.forEach(folder => transaction.objectStore(DB_STORE_DELETED_FOLDERS).delete(folder.id));
+
+  if (dropHistory) {
+    const historyStore = transaction.objectStore(DB_STORE_HISTORY);
+    const events = await promisifyRequest(historyStore.index("mid").getAll(mid));
+    events.filter(event => event.time >= snapshot.createdAt).forEach(event => historyStore.delete(event.id));
+  }
+});
+
+/**
+ * 读取快照 (包含备份数据)
+ *
+ * @param {number} id - 快照ID
+ * @returns {Promise<Object>} 快照
+ * @throws {Error} 快照不存在
+ */
+const readSnapshot = async (id) => {
+  const snapshot = await runTransaction(DB_STORE_SNAPSHOTS, "readonly",
+    (transaction) => promisifyRequest(transaction.objectStore(DB_STORE_SNAPSHOTS).get(id))
+  );
+  if (!snapshot) {
+    throw new Error("快照不存在，可能已经被清理");
+  }
+  return snapshot;
+}
+
+
+/**
+ * 全量备份完所有收藏夹后，和备份前的快照比较，删除的记录过多时回滚到快照
+ *
+ * 用户确认过删除时 (见 confirmSnapshot)，这一次不检查
+ *
+ * @param {number} mid - 用户ID
+ * @param {number} snapshotId - 备份前保存的快照ID
+ * @throws {SnapshotHeldError} 删除的记录过多，已经回滚
+ */
+const checkAgainstSnapshot = async (mid, snapshotId) => {
+  const snapshot = await readSnapshot(snapshotId);
+  const state = await runTransaction([DB_STORE_FOLDERS, DB_STORE_MEMBERSHIPS, DB_STORE_VIDEOS, DB_STORE_ARCHIVE], "readonly",
+    (transaction) => readAccountState(transaction, mid)
+  );
+  const diff = diffSnapshot(snapshot, state);
+
+  const { [STORAGE_SNAPSHOT_OVERRIDE_KEY]: overrideId } = await getAccountStorage(mid, [STORAGE_SNAPSHOT_OVERRIDE_KEY]);
+  if (overrideId !== undefined) {
+    await chrome.storage.local.remove(accountKey(mid, STORAGE_SNAPSHOT_OVERRIDE_KEY));
+    await updateSnapshot(snapshotId, { diff });
+    await updateSnapshot(overrideId, { status: SNAPSHOT_STATUS_CONFIRMED }).catch(() => {});   // 快照可能已经被清理
+    return;
+  }
+
+  const { rollbackThreshold } = await getSettings();
+  const tooMany = diff.removed >= SNAPSHOT_MIN_REMOVED && diff.removed / diff.total * 100 > rollbackThreshold;
+  if (!tooMany && diff.removedInvalid === 0) {
+    await updateSnapshot(snapshotId, { diff });
+    return;
+  }
+
+  await applySnapshot(snapshot, true);
+  await updateSnapshot(snapshotId, { status: SNAPSHOT_STATUS_HELD, diff });
+  throw new SnapshotHeldError(
+    `这次全量备份会删除 ${diff.removed}/${diff.total} 条收藏记录 (其中 ${diff.removedInvalid} 个是已备份的失效视频)，已回滚，请在设置页中确认`,
+    diff,
+  );
+}
+
+/**
+ * 确认等待确认的快照中的删除，重新执行一次全量备份 (不检查删除的记录)
+ *
+ * @param {number} id - 快照ID
+ * @returns {Promise<boolean>} 备份请求是否合并到了排队中的请求
+ * @throws {Error} 快照不存在、不是等待确认的状态
+ */
+const confirmSnapshot = async (id) => {
+  const snapshot = await readSnapshot(id);
+  if (snapshot.status !== SNAPSHOT_STATUS_HELD) {
+    throw new Error("这个快照不需要确认");
+  }
+  await setAccountStorage(snapshot.mid, { [STORAGE_SNAPSHOT_OVERRIDE_KEY]: id });
+  return requestBackup("full", "confirm");
+}
+
+/**
+ * 不确认删除，保持回滚后的备份 (下一次全量备份时如果仍然会删除这些记录，还会再次回滚)
+ *
+ * @param {number} id - 快照ID
+ * @returns {Promise<Object>} 修改后的快照摘要
+ */
+const dismissSnapshot = (id) => updateSnapshot(id, { status: SNAPSHOT_STATUS_DISMISSED });
+
+/**
+ * 手动把某个账号的备份恢复为快照中的数据，恢复前先保存当前数据的快照 (可以再恢复回来)
+ *
+ * @param {number} id - 快照ID
+ * @returns {Promise<number>} 恢复前保存的快照ID
+ * @throws {Error} 快照不存在
+ */
+const restoreSnapshot = async (id) => {
+  const snapshot = await readSnapshot(id);   // 先读取，保存新快照时可能会清理掉这个快照
+  const beforeId = await createSnapshot(snapshot.mid, SNAPSHOT_REASON_RESTORE);
+  await applySnapshot(snapshot, false);
+  return beforeId;
+}
@@ -0,0 +1,124 @@
+/**
+ * background/status.js
+ *
+ * 视频状态: B站不同的接口用不同的方式表示视频能否观看，统一转换为 VIDEO_STATUS_*，保存在视频记录的 status 字段中
+ *   - 收藏夹列表、批量查询 (attr 字段): 只能区分正常、up主自己删除、其他原因失效
+ *   - 稍后再看列表 (稿件状态 state 字段): 还可以区分审核中、被锁定
+ *   - 单个视频的详细信息 (错误码): 还可以区分视频不存在、仅up主自己可见、审核中
+ *
+ * 视频记录中的状态字段:
+ *   - status: 最近一次看到的状态 (旧版本保存的视频没有这个字段，见 getVideoStatus)
+ *   - states: 每种状态第一次和最后一次看到的时间 { [状态]: { firstSeen, lastSeen } } (毫秒时间戳)
+ *   - invalid / invalidSince: 视频当前是否无法观看 (status 不是正常)，以及这一次失效第一次被发现的时间，其他模块只需要关心这两个字段
+ *   - recheckedAt: 最近一次重新检查失效视频的时间，见 recheckInvalidVideos
+ */
+
+
+// 视频状态
+const VIDEO_STATUS_NORMAL = "normal";             // 正常
+const VIDEO_STATUS_UNAVAILABLE = "unavailable";   // 已失效，列表中看不出具体原因
+const VIDEO_STATUS_DELETED = "deleted";           // 视频不存在 (一般是其他原因删除)
+const VIDEO_STATUS_UP_DELETED = "up_deleted";     // up主自己删除
+const VIDEO_STATUS_UP_ONLY = "up_only";           // 仅up主自己可见
+const VIDEO_STATUS_REVIEWING = "reviewing";       // 审核中 (包括待审、修复待审、转码中、定时发布等，之后可能会恢复)
+const VIDEO_STATUS_LOCKED = "locked";             // 被退回或锁定
+
+const VIDEO_STATUS_NAMES = {
+  [VIDEO_STATUS_NORMAL]: "正常",
+  [VIDEO_STATUS_UNAVAILABLE]: "已失效",
+  [VIDEO_STATUS_DELETED]: "视频不存在",
+  [VIDEO_STATUS_UP_DELETED]: "up主自己删除",
+  [VIDEO_STATUS_UP_ONLY]: "仅up主自己可见",
+  [VIDEO_STATUS_REVIEWING]: "审核中",
+  [VIDEO_STATUS_LOCKED]: "被退回或锁定",
+};
+
+// 获取单个视频信息的接口返回的错误码，见 https://socialsisteryi.github.io/bilibili-API-collect/docs/video/info.html
+const VIDEO_STATUS_BY_CODE = {
+  [-404]: VIDEO_STATUS_DELETED,
+  62002: VIDEO_STATUS_UP_DELETED,   // 稿件不可见，一般是up主自己删除
+  62004: VIDEO_STATUS_REVIEWING,
+  62012: VIDEO_STATUS_UP_ONLY,
+};
+
+// 稿件状态中表示审核中的值 (其他小于 0 的值表示被退回或锁定，-100 为up主自己删除)
+// 见 https://socialsisteryi.github.io/bilibili-API-collect/docs/video/attribute_data.html#state字段值-稿件状态
+const REVIEWING_STATES = [-1, -6, -7, -8, -9, -10, -13, -15, -20, -30, -40];
+
+
+/**
+ * 收藏夹列表中的 attr 字段对应的状态
+ *
+ * @param {number} attr - 0-正常 9-up主自己删除 其他-失效
+ * @returns {string} 视频状态
+ */
+const statusFromAttr = (attr) => attr === 0 ? VIDEO_STATUS_NORMAL
+  : attr === 9 ? VIDEO_STATUS_UP_DELETED
+  : attr === -1 ? VIDEO_STATUS_UP_ONLY   // 旧版本中仅up主可见的视频记录为 -1
+  : VIDEO_STATUS_UNAVAILABLE;
+
+/**
+ * 稿件状态 (state 字段) 对应的状态
+ *
+ * @param {number} state - 稿件状态，大于等于 0 时可以正常观看
+ * @returns {string} 视频状态
+ */
+const statusFromState = (state) => state >= 0 ? VIDEO_STATUS_NORMAL
+  : state === -100 ? VIDEO_STATUS_UP_DELETED
+  : REVIEWING_STATES.includes(state) ? VIDEO_STATUS_REVIEWING
+  : VIDEO_STATUS_LOCKED;
+
+/**
+ * 获取单个视频信息的接口返回的错误码对应的状态
+ *
+ * @param {number} code - 错误码
+ * @returns {string|undefined} 视频状态，不是表示视频失效的错误码时返回 undefined
+ */
+const statusFromCode = (code) => VIDEO_STATUS_BY_CODE[code];
+
+/**
+ * 状态对应的 attr 字段 (与收藏夹列表相同，导出的数据和旧版本的代码使用)
+ *
+ * @param {string} status - 视频状态
+ * @returns {number} 0-正常 1-其他原因失效 9-up主自己删除
+ */
+const attrFromStatus = (status) => status === VIDEO_STATUS_NORMAL ? 0 : status === VIDEO_STATUS_UP_DELETED ? 9 : 1;
+
+/**
+ * 获取视频记录当前的状态 (旧版本保存的视频记录没有 status 字段，根据 invalid 和 attr 推断)
+ *
+ * @param {Object} [video] - videos 中的记录
+ * @returns {string|undefined} 视频状态，没有记录时返回 undefined
+ */
+const getVideoStatus = (video) => {
+  if (!video) return undefined;
+  if (video.status) return video.status;
+  return video.invalid ? statusFromAttr(video.attr === 0 ? 1 : video.attr) : VIDEO_STATUS_NORMAL;
+}
+
+/**
+ * 计算视频记录在看到新的状态后的状态字段
+ *
+ * 列表中只能看出视频失效了 (VIDEO_STATUS_UNAVAILABLE)，已经知道更具体的失效原因时保留原来的状态
+ *
+ * @param {Object} [video] - 原来的视频记录
+ * @param {string} status - 这次看到的状态
+ * @param {number} [time] - 看到的时间 (毫秒)
+ * @returns {Object} 要写入视频记录的字段 { status, states, invalid, invalidSince }
+ */
+const withVideoStatus = (video, status, time = Date.now()) => {
+  const current = getVideoStatus(video);
+  if (status === VIDEO_STATUS_UNAVAILABLE && current && current !== VIDEO_STATUS_NORMAL) {
+    status = current;
+  }
+
+  const seen = video?.states?.[status];
+  const invalid = status === VIDEO_STATUS_NORMAL ? 0 : 1;
+  return {
+    status,
+    states: { ...video?.states, [status]: { firstSeen: seen?.firstSeen ?? time, lastSeen: time } },
+    invalid,
+    // 之前有效、现在失效时从现在算起
+    invalidSince: !invalid ? undefined : video?.invalid === 1 ? video.invalidSince : time,
+  };
+}
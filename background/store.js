@@ -0,0 +1,599 @@
+/**
+ * background/store.js
+ *
+ * 备份数据的读写 (IndexedDB，见 background/db.js)
+ *
+ * 数据模型:
+ *   - videos: 每个视频一条记录，所有账号、所有收藏夹共用
+ *       - 有备份的视频: 保存了视频信息 (标题等)，视频失效后仍然保留，invalid 标记为 1
+ *       - 没有备份的失效视频: 只有 { bvid, attr, 状态字段 }，用来让增量备份跳过已知的失效视频
+ *       - 从其他来源查到了标题的失效视频 (见 background/resolvers.js): 和有备份的视频一样，titleSource 记录标题的来源，
+ *         之后拿到插件自己的备份时 (视频恢复、导入备份) 被替换
+ *       - 状态字段 status、states、invalid、invalidSince 见 background/status.js，失效视频会定期重新检查 (见 recheckInvalidVideos)
+ *   - memberships: 每个收藏夹中有哪些视频 (以最近一次备份时为准)，收藏时间、视频在收藏夹中的顺序 (index) 等与收藏夹相关的信息也保存在这里
+ *   - folders: 每个账号的收藏夹列表，包括自己创建的收藏夹、收藏的其他用户的收藏夹、订阅的合集、稍后再看 (type 见 FOLDER_TYPE_*)
+ *       合集与收藏夹的ID可能重复，合集的ID取负数保存 (见 seasonFolderId)，稍后再看的ID是字符串 (见 watchLaterFolderId)，其他数据中的收藏夹ID也一样
+ *       全量备份收藏夹时还会保存简介、封面、公开/私密 (attr)、创建和修改时间 (见 toFolderMeta)
+ *   - deleted_folders: 被删除的自己创建的收藏夹，保存完整的收藏夹信息和其中的视频 (按原来的顺序)，可以在B站上重新创建 (见 background/folder-restore.js)
+ *   - history: 变更历史，备份时发现的新增收藏、取消收藏、视频失效，每个事件一条记录
+ *   - archive: 归档，取消收藏、收藏夹被删除、从收藏夹中清理失效视频时视频的备份 (见 background/archive.js)
+ *
+ * 视频不在任何收藏夹中时 (取消收藏、收藏夹被删除)，在全量备份结束时由 sweepOrphanVideos 清理，此时备份已经移到了归档中
+ */
+
+
+// 收藏夹的类型 (folders 中的 type 字段，没有 type 字段的是旧版本保存的自己创建的收藏夹)
+const FOLDER_TYPE_CREATED = "created";       // 自己创建的收藏夹
+const FOLDER_TYPE_COLLECTED = "collected";   // 收藏的其他用户的收藏夹
+const FOLDER_TYPE_SEASON = "season";         // 订阅的合集
+const FOLDER_TYPE_WATCH_LATER = "watchlater";   // 稍后再看 (每个账号一个)
+
+
+/**
+ * 视频是否有备份 (没有备份的失效视频只记录了失效状态，没有标题)
+ *
+ * @param {Object} [video] - videos 中的记录
+ * @returns {boolean} 是否有备份
+ */
+const isBackedUp = (video) => video?.title !== undefined;
+
+/**
+ * 视频是否有插件自己的备份 (不是从其他来源查到的标题)
+ *
+ * @param {Object} [video] - videos 中的记录
+ * @returns {boolean} 是否有插件自己的备份
+ */
+const hasOwnBackup = (video) => isBackedUp(video) && video.titleSource === undefined;
+
+/**
+ * 去掉视频记录中其他来源的标记，用插件自己获取的视频信息更新备份时使用
+ *
+ * @param {Object} [video] - videos 中的记录
+ * @returns {Object|undefined} 视频记录
+ */
+const withoutTitleSource = (video) => {
+  if (video?.titleSource === undefined) return video;
+  const { titleSource, ...rest } = video;
+  return rest;
+}
+
+/**
+ * 合集在备份数据中使用的收藏夹ID
+ *
+ * @param {number} seasonId - 合集ID
+ * @returns {number} 收藏夹ID (负数)
+ */
+const seasonFolderId = (seasonId) => -seasonId;
+
+/**
+ * 稍后再看在备份数据中使用的收藏夹ID
+ *
+ * @param {number} mid - 用户ID
+ * @returns {string} 收藏夹ID
+ */
+const watchLaterFolderId = (mid) => `watchlater_${mid}`;
+
+/**
+ * 把插件页面传来的收藏夹ID (可能是字符串) 转换为备份数据中的收藏夹ID
+ *
+ * @param {number|string} value - 收藏夹ID
+ * @returns {number|string} 收藏夹ID (稍后再看是字符串，其他是数字)
+ */
+const parseFolderId = (value) => /^-?\d+$/.test(String(value)) ? Number(value) : String(value);
+
+
+/**
+ * 获取某个账号的收藏夹列表
+ *
+ * @param {number} mid - 用户ID
+ * @returns {Promise<Array<Object>>} 收藏夹列表，按B站上的顺序排列
+ */
+const getFolders = (mid) => runTransaction(DB_STORE_FOLDERS, "readonly", async (transaction) => {
+  const folders = await promisifyRequest(transaction.objectStore(DB_STORE_FOLDERS).index("mid").getAll(mid));
+  return folders.sort((a, b) => a.index - b.index);
+});
+
+/**
+ * 用最新的收藏夹列表更新某个账号的收藏夹列表
+ *
+ * 不在列表中的收藏夹暂时保留，由全量备份时的 deleteMissingFolders 连同对应关系一起删除 (记录变更历史时需要收藏夹名称)
+ *
+ * @param {number} mid - 用户ID
+ * @param {Array<Object>} favlist - 收藏夹列表
+ */
+const replaceFolders = (mid, favlist) => runTransaction(DB_STORE_FOLDERS, "readwrite", async (transaction) => {
+  const store = transaction.objectStore(DB_STORE_FOLDERS);
+  const existingFolders = await promisifyRequest(store.index("mid").getAll(mid));
+  // 保留备份时记录的字段 (如 backedUpAt)
+  favlist.forEach((fav, index) => store.put({
+    ...existingFolders.find(folder => folder.id === fav.id),
+    ...fav, mid, index,
+  }));
+});
+
+
+/**
+ * 批量获取视频记录
+ *
+ * @param {string[]} bvids - 视频的BV号列表
+ * @returns {Promise<Object>} bvid -> 视频记录 (不存在的视频不包含在结果中)
+ */
+const getVideos = (bvids) => runTransaction(DB_STORE_VIDEOS, "readonly", async (transaction) => {
+  const store = transaction.objectStore(DB_STORE_VIDEOS);
+  const videos = await Promise.all(bvids.map(bvid => promisifyRequest(store.get(bvid))));
+  return Object.fromEntries(videos.filter(Boolean).map(video => [video.bvid, video]));
+});
+
+/**
+ * 获取视频在某个账号的哪些收藏夹中
+ *
+ * @param {number} mid - 用户ID
+ * @param {string[]} bvids - 视频的BV号列表
+ * @returns {Promise<Object>} bvid -> [{ id, title, type, fav_time }]，按收藏夹在B站上的顺序排列
+ */
+const getVideoFolders = (mid, bvids) => runTransaction([DB_STORE_MEMBERSHIPS, DB_STORE_FOLDERS], "readonly", async (transaction) => {
+  const membershipIndex = transaction.objectStore(DB_STORE_MEMBERSHIPS).index("bvid");
+  const folders = await promisifyRequest(transaction.objectStore(DB_STORE_FOLDERS).index("mid").getAll(mid));
+  const result = {};
+  for (const bvid of bvids) {
+    const memberships = await promisifyRequest(membershipIndex.getAll(bvid));
+    result[bvid] = memberships
+      .filter(membership => membership.mid === mid)
+      .map(membership => ({ membership, folder: folders.find(folder => folder.id === membership.favId) }))
+      .filter(({ folder }) => folder)
+      .sort((a, b) => a.folder.index - b.folder.index)
+      .map(({ membership, folder }) => ({ id: folder.id, title: folder.title, type: folder.type, fav_time: membership.fav_time }));
+  }
+  return result;
+});
+
+/**
+ * 获取某个账号所有收藏夹中的视频
+ *
+ * @param {number} mid - 用户ID
+ * @returns {Promise<Object>} { memberships: 收藏夹与视频的对应关系列表, videos: bvid -> 视频记录 }
+ */
+const getAccountVideos = (mid) => runTransaction([DB_STORE_MEMBERSHIPS, DB_STORE_VIDEOS], "readonly", async (transaction) => {
+  const memberships = await promisifyRequest(transaction.objectStore(DB_STORE_MEMBERSHIPS).index("mid").getAll(mid));
+  const store = transaction.objectStore(DB_STORE_VIDEOS);
+  const bvids = Array.from(new Set(memberships.map(membership => membership.bvid)));
+  const videos = await Promise.all(bvids.map(bvid => promisifyRequest(store.get(bvid))));
+  return {
+    memberships,
+    videos: Object.fromEntries(videos.filter(Boolean).map(video => [video.bvid, video])),
+  };
+});
+
+/**
+ * 统计某个账号每个收藏夹的备份情况
+ *
+ * @param {number} mid - 用户ID
+ * @returns {Promise<Object>} favId -> 统计数据
+ *   - total: 收藏夹内的视频个数
+ *   - backedUp: 已备份的视频个数
+ *   - rescued: 已失效、但有备份的视频个数
+ *   - lost: 已失效、且没有备份的视频个数
+ * 只统计插件自己的备份，从其他来源查到标题的失效视频算作没有备份
+ */
+const getFolderStats = async (mid) => {
+  const { memberships, videos } = await getAccountVideos(mid);
+  const stats = {};
+  for (const { favId, bvid } of memberships) {
+    const video = videos[bvid];
+    const folderStats = stats[favId] ??= { total: 0, backedUp: 0, rescued: 0, lost: 0 };
+    folderStats.total += 1;
+    if (hasOwnBackup(video)) folderStats.backedUp += 1;
+    if (video?.invalid) {
+      if (hasOwnBackup(video)) {
+        folderStats.rescued += 1;
+      } else {
+        folderStats.lost += 1;
+      }
+    }
+  }
+  return stats;
+}
+
+
+/**
+ * 保存单个收藏夹的全量备份结果，并记录变更历史 (在一个事务中完成，不会出现只写入一部分的情况)
+ *
+ *   1. 有效视频 -> 更新备份 (保留之前补充的点赞数和标签)
+ *   2. 失效视频，备份存在 -> 保留备份，标记为失效
+ *   3. 失效视频，备份不存在 -> 只记录为已知的失效视频
+ *   4. 收藏夹中已经没有的视频 -> 删除对应关系，备份移到归档中 (视频记录由 sweepOrphanVideos 统一清理)
+ *   (备份不存在时，先从归档中找回之前的备份，找回后按备份存在处理)
+ *
+ * 变更历史:
+ *   - 收藏夹中新出现的视频 -> add (收藏夹第一次备份时不记录，否则所有视频都会被记录为新增收藏)
+ *   - 之前有效、现在失效的视频 -> invalid (视频记录是所有收藏夹共用的，所以只会在第一个发现它失效的收藏夹中记录一次)
+ *   - 之前失效、现在恢复的视频 -> restore (同上)
+ *   - 收藏夹中已经没有的视频 -> remove
+ *
+ * @param {number} mid - 用户ID
+ * @param {number} favId - 收藏夹ID
+ * @param {Array<Object>} mediaList - 收藏夹中的所有视频 (按收藏夹中的顺序)
+ * @param {Object} [meta] - 收藏夹信息 (简介、封面等，见 toFolderMeta)
+ * @returns {Promise<Array<Object>>} 这次备份新发现失效的已备份视频 (attr、status 为最新的失效原因)
+ */
+const saveFolderFull = (mid, favId, mediaList, meta) => runTransaction([DB_STORE_VIDEOS, DB_STORE_MEMBERSHIPS, DB_STORE_FOLDERS, DB_STORE_HISTORY, DB_STORE_ARCHIVE], "readwrite", async (transaction) => {
+  const videoStore = transaction.objectStore(DB_STORE_VIDEOS);
+  const membershipStore = transaction.objectStore(DB_STORE_MEMBERSHIPS);
+  const folder = await markFolderBackedUp(transaction, favId, meta);
+  const history = createHistoryWriter(transaction, mid, folder);
+
+  const oldMemberships = await promisifyRequest(membershipStore.index("favId").getAll(favId));
+  const existingVideos = await Promise.all(mediaList.map(async (media) => {
+    const video = await promisifyRequest(videoStore.get(media.bvid));
+    return hasOwnBackup(video) ? video : await findArchivedVideo(transaction, media.bvid) || video;
+  }));
+  const oldIds = new Set(oldMemberships.map(membership => membership.bvid));
+  const newlyInvalid = [];
+
+  for (const [i, { fav_time, ...media }] of mediaList.entries()) {
+    const existing = existingVideos[i];
+    // 检查点中保存的旧版本的视频列表没有 status 字段
+    const status = withVideoStatus(existing, media.status ?? statusFromAttr(media.attr));
+    if (!status.invalid) {
+      videoStore.put({ ...withoutTitleSource(existing), ...media, ...status });
+    } else if (isBackedUp(existing)) {
+      videoStore.put({ ...existing, attr: media.attr, ...status });
+    } else {
+      videoStore.put({ bvid: media.bvid, attr: media.attr, ...status });
+    }
+    membershipStore.put({ favId, bvid: media.bvid, mid, fav_time, index: i });
+
+    if (!oldIds.has(media.bvid)) {
+      await unarchiveMembership(transaction, favId, media.bvid);   // 重新收藏到原来的收藏夹中，不再需要归档
+      history.add("add", media.bvid, status.invalid ? existing : media);   // 失效视频的标题是 "已失效视频"，使用已有的备份
+    } else if (existing?.invalid === 0 && status.invalid) {
+      history.add("invalid", media.bvid, existing);
+      newlyInvalid.push({ ...existing, attr: media.attr, ...status });
+    } else if (existing?.invalid === 1 && !status.invalid) {
+      history.add("restore", media.bvid, media);
+    }
+  }
+
+  const currentIds = new Set(mediaList.map(media => media.bvid));
+  for (const membership of oldMemberships) {
+    if (!currentIds.has(membership.bvid)) {
+      const video = await promisifyRequest(videoStore.get(membership.bvid));
+      membershipStore.delete([favId, membership.bvid]);
+      await archiveMembership(transaction, membership, folder, video, ARCHIVE_REASON_UNFAVORITED);
+      history.add("remove", membership.bvid, video);
+    }
+  }
+  return newlyInvalid;
+});
+
+/**
+ * 保存单个收藏夹的增量备份结果，并记录新增收藏的变更历史 (在一个事务中完成)
+ *
+ * 已经备份过的视频不更新，只检查列表中看到的状态: 之前有效、现在失效的视频记录为 invalid (同 saveFolderFull)
+ *
+ * @param {number} mid - 用户ID
+ * @param {number} favId - 收藏夹ID
+ * @param {string[]} bvids - 收藏夹中的所有视频ID (按收藏夹中的顺序)
+ * @param {Array<Object>} newVideos - 新查询到的视频 (有效视频的备份、失效视频的 { bvid, attr, status })
+ * @param {Object} [knownStatuses] - 已知视频在列表中看到的状态 bvid -> { attr, status }
+ * @returns {Promise<Array<Object>>} 这次备份新发现失效的已备份视频
+ */
+const saveFolderIncr = (mid, favId, bvids, newVideos, knownStatuses = {}) => runTransaction([DB_STORE_VIDEOS, DB_STORE_MEMBERSHIPS, DB_STORE_FOLDERS, DB_STORE_HISTORY, DB_STORE_ARCHIVE], "readwrite", async (transaction) => {
+  const videoStore = transaction.objectStore(DB_STORE_VIDEOS);
+  const membershipStore = transaction.objectStore(DB_STORE_MEMBERSHIPS);
+  const history = createHistoryWriter(transaction, mid, await markFolderBackedUp(transaction, favId));
+
+  // 失效视频先从归档中找回之前的备份，记录看到的状态
+  for (const video of newVideos) {
+    const archived = isBackedUp(video) ? undefined : await findArchivedVideo(transaction, video.bvid);
+    if (archived) {
+      videoStore.put({ ...archived, attr: video.attr, ...withVideoStatus(archived, video.status) });
+    } else {
+      videoStore.put({ ...video, ...withVideoStatus(undefined, video.status) });
+    }
+  }
+
+  // 只新增对应关系，已有的对应关系只更新顺序 (保留全量备份时记录的收藏时间)
+  const existing = new Map(await promisifyRequest(membershipStore.index("favId").getAll(favId)).then(
+    memberships => memberships.map(membership => [membership.bvid, membership])
+  ));
+  for (const [index, bvid] of bvids.entries()) {
+    const membership = existing.get(bvid);
+    if (membership) {
+      if (membership.index !== index) membershipStore.put({ ...membership, index });
+      continue;
+    }
+    membershipStore.put({ favId, bvid, mid, index });
+    await unarchiveMembership(transaction, favId, bvid);
+    history.add("add", bvid, await promisifyRequest(videoStore.get(bvid)));
+  }
+
+  // 已知视频新发现失效
+  const newlyInvalid = [];
+  for (const [bvid, { attr, status: seen }] of Object.entries(knownStatuses)) {
+    const video = await promisifyRequest(videoStore.get(bvid));
+    if (!isBackedUp(video) || video.invalid !== 0 || seen === VIDEO_STATUS_NORMAL) continue;
+    const status = withVideoStatus(video, seen);
+    videoStore.put({ ...video, attr, ...status });
+    history.add("invalid", bvid, video);
+    newlyInvalid.push({ ...video, attr, ...status });
+  }
+  return newlyInvalid;
+});
+
+/**
+ * 删除某个账号下已经不存在的收藏夹，以及其中的所有对应关系，其中的视频移到归档中，并记录为取消收藏
+ *
+ * 自己创建的收藏夹的信息和其中的视频 (按原来的顺序) 保存到 deleted_folders 中，保留时间与归档相同
+ *
+ * @param {number} mid - 用户ID
+ * @param {number[]} favIds - 仍然存在的收藏夹ID
+ */
+const deleteMissingFolders = (mid, favIds) => runTransaction([DB_STORE_FOLDERS, DB_STORE_MEMBERSHIPS, DB_STORE_VIDEOS, DB_STORE_HISTORY, DB_STORE_ARCHIVE, DB_STORE_DELETED_FOLDERS], "readwrite", async (transaction) => {
+  const folderStore = transaction.objectStore(DB_STORE_FOLDERS);
+  const membershipStore = transaction.objectStore(DB_STORE_MEMBERSHIPS);
+  const videoStore = transaction.objectStore(DB_STORE_VIDEOS);
+
+  const folders = await promisifyRequest(folderStore.index("mid").getAll(mid));
+  const memberships = await promisifyRequest(membershipStore.index("mid").getAll(mid));
+  const missingIds = new Set([...folders.map(folder => folder.id), ...memberships.map(membership => membership.favId)]
+    .filter(favId => !favIds.includes(favId)));
+
+  for (const favId of missingIds) {
+    const folder = folders.find(item => item.id === favId) || { id: favId };
+    const history = createHistoryWriter(transaction, mid, folder);
+    const medias = [];
+    for (const membership of memberships.filter(item => item.favId === favId)) {
+      const video = await promisifyRequest(videoStore.get(membership.bvid));
+      membershipStore.delete([favId, membership.bvid]);
+      await archiveMembership(transaction, membership, folder, video, ARCHIVE_REASON_FOLDER_DELETED);
+      history.add("remove", membership.bvid, video);
+      medias.push({
+        bvid: membership.bvid,
+        avid: video?.avid,
+        title: isBackedUp(video) ? video.title : undefined,
+        status: getVideoStatus(video),
+        fav_time: membership.fav_time,
+        index: membership.index,
+      });
+    }
+
+    if (folder.mid !== undefined && (folder.type || FOLDER_TYPE_CREATED) === FOLDER_TYPE_CREATED) {
+      // 按收藏夹中的顺序排列，旧版本的备份没有顺序，按收藏时间倒序 (B站的默认排序)
+      medias.sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity) || (b.fav_time ?? 0) - (a.fav_time ?? 0));
+      transaction.objectStore(DB_STORE_DELETED_FOLDERS).put({ ...folder, deletedAt: Date.now(), medias });
+    }
+    folderStore.delete(favId);
+  }
+});
+
+/**
+ * 清理不在任何收藏夹中的视频记录 (取消收藏、收藏夹被删除)
+ *
+ * @returns {Promise<string[]>} 被清理的视频ID
+ */
+const sweepOrphanVideos = () => runTransaction([DB_STORE_VIDEOS, DB_STORE_MEMBERSHIPS], "readwrite", async (transaction) => {
+  const videoStore = transaction.objectStore(DB_STORE_VIDEOS);
+  const memberships = await promisifyRequest(transaction.objectStore(DB_STORE_MEMBERSHIPS).index("bvid").getAllKeys());
+  const favorited = new Set(memberships.map(([, bvid]) => bvid));
+
+  const orphans = (await promisifyRequest(videoStore.getAllKeys())).filter(bvid => !favorited.has(bvid));
+  orphans.forEach(bvid => videoStore.delete(bvid));
+  return orphans;
+});
+
+/**
+ * 在全量备份 / 增量备份的事务中，标记收藏夹已经备份过，同时保存最新的收藏夹信息
+ *
+ * @param {IDBTransaction} transaction - 包含 folders 的读写事务
+ * @param {number} favId - 收藏夹ID
+ * @param {Object} [meta] - 收藏夹信息 (简介、封面等，见 toFolderMeta)
+ * @returns {Promise<Object>} 标记前的收藏夹信息 (backedUpAt 为空表示第一次备份)
+ */
+const markFolderBackedUp = async (transaction, favId, meta) => {
+  const store = transaction.objectStore(DB_STORE_FOLDERS);
+  const folder = await promisifyRequest(store.get(favId)) || { id: favId };
+  if (folder.mid !== undefined) {
+    store.put({ ...folder, ...meta, backedUpAt: Date.now() });
+  }
+  return folder;
+}
+
+/**
+ * 创建变更历史的写入器，在备份的事务中使用
+ *
+ * 每条记录保存当时的视频标题和 up 主，视频记录被清理后仍然可以查看
+ * 收藏夹第一次备份时 (backedUpAt 为空) 不记录新增收藏
+ *
+ * @param {IDBTransaction} transaction - 包含 history 的读写事务
+ * @param {number} mid - 用户ID
+ * @param {Object} folder - 收藏夹信息 { id, title, backedUpAt }
+ * @returns {Object} { add(type, bvid, video) }，type: add-新增收藏 remove-取消收藏 invalid-视频失效 restore-视频恢复
+ */
+const createHistoryWriter = (transaction, mid, folder) => {
+  const store = transaction.objectStore(DB_STORE_HISTORY);
+  const time = Date.now();
+  return {
+    add: (type, bvid, video) => {
+      if (type === "add" && !folder.backedUpAt) return;
+      store.add({
+        time, mid, type, bvid,
+        favId: folder.id,
+        favTitle: folder.title,
+        title: isBackedUp(video) ? video.title : undefined,
+        up: isBackedUp(video) ? video.up : undefined,
+      });
+    },
+  };
+}
+
+/**
+ * 获取某个账号的所有变更历史，按时间倒序排列
+ *
+ * @param {number} mid - 用户ID
+ * @returns {Promise<Array<Object>>} 变更历史
+ */
+const getHistory = (mid) => runTransaction(DB_STORE_HISTORY, "readonly", async (transaction) => {
+  const events = await promisifyRequest(transaction.objectStore(DB_STORE_HISTORY).index("mid").getAll(mid));
+  return events.sort((a, b) => b.time - a.time || b.id - a.id);
+});
+
+/**
+ * 把外部的变更历史 (WebDAV 同步的备份文件) 合并到某个账号的变更历史中，已有的记录 (时间、收藏夹、视频、类型都相同) 不会重复添加
+ *
+ * @param {number} mid - 用户ID
+ * @param {Array<Object>} events - 变更历史 (不包含 id)
+ * @returns {Promise<number>} 新增的记录个数
+ */
+const mergeHistory = (mid, events) => runTransaction(DB_STORE_HISTORY, "readwrite", async (transaction) => {
+  const store = transaction.objectStore(DB_STORE_HISTORY);
+  const eventKey = (event) => `${event.time}|${event.favId}|${event.bvid}|${event.type}`;
+  const existing = new Set((await promisifyRequest(store.index("mid").getAll(mid))).map(eventKey));
+
+  let added = 0;
+  for (const { id, ...event } of events) {
+    if (!event.time || !event.bvid || existing.has(eventKey(event))) continue;
+    existing.add(eventKey(event));
+    store.add({ ...event, mid });
+    added += 1;
+  }
+  return added;
+});
+
+
+/**
+ * 修改已有视频记录的部分字段 (不存在的视频会被跳过)
+ *
+ * @param {Object} updates - bvid -> 要修改的字段
+ */
+const updateVideos = (updates) => runTransaction(DB_STORE_VIDEOS, "readwrite", async (transaction) => {
+  const store = transaction.objectStore(DB_STORE_VIDEOS);
+  for (const [bvid, fields] of Object.entries(updates)) {
+    const video = await promisifyRequest(store.get(bvid));
+    if (video) store.put({ ...video, ...fields });
+  }
+});
+
+/**
+ * 把从其他来源查到的标题写入没有备份的失效视频的记录中 (没有视频记录、已经有备份的视频跳过)
+ *
+ * @param {Object} resolved - { [bvid]: { title, up, intro, source } }
+ */
+const saveResolvedTitles = (resolved) => runTransaction(DB_STORE_VIDEOS, "readwrite", async (transaction) => {
+  const store = transaction.objectStore(DB_STORE_VIDEOS);
+  for (const [bvid, { title, up, intro, source }] of Object.entries(resolved)) {
+    const video = await promisifyRequest(store.get(bvid));
+    if (video && !isBackedUp(video)) {
+      store.put({ ...video, title, up, intro, titleSource: source });
+    }
+  }
+});
+
+/**
+ * 在事务中，从视频记录中去掉从某个来源查到的标题 (插件自己的备份、其他来源的标题不变)
+ *
+ * @param {IDBTransaction} transaction - 包含 videos 的读写事务
+ * @param {string} bvid - 视频的BV号
+ * @param {string} source - 来源的说明 (与写入时的 titleSource 相同)
+ */
+const removeResolvedTitle = async (transaction, bvid, source) => {
+  const store = transaction.objectStore(DB_STORE_VIDEOS);
+  const video = await promisifyRequest(store.get(bvid));
+  if (video?.titleSource === undefined || video.titleSource !== source) return;
+  const { title, up, intro, titleSource, ...rest } = video;
+  store.put(rest);
+}
+
+/**
+ * 保存重新检查失效视频的结果 (见 recheckInvalidVideos)，并为恢复了的视频记录变更历史
+ *
+ *   - 恢复了的视频 -> 用最新的视频信息更新备份 (没有备份的视频从此有了备份)
+ *   - 仍然失效的视频 -> 只更新状态
+ * 视频恢复的变更历史记录在这个账号中第一个包含它的收藏夹中 (与备份时发现视频失效一样，只记录一次)
+ *
+ * @param {number} mid - 用户ID
+ * @param {Object} results - bvid -> 检查结果 { status, info: 恢复了的视频的信息 (格式同 getMediaInfo) }
+ * @returns {Promise<string[]>} 恢复了的视频ID
+ */
+const saveRecheckedVideos = (mid, results) => runTransaction([DB_STORE_VIDEOS, DB_STORE_MEMBERSHIPS, DB_STORE_FOLDERS, DB_STORE_HISTORY], "readwrite", async (transaction) => {
+  const videoStore = transaction.objectStore(DB_STORE_VIDEOS);
+  const time = Date.now();
+  const restored = [];
+  for (const [bvid, { status, info }] of Object.entries(results)) {
+    const video = await promisifyRequest(videoStore.get(bvid));
+    if (!video) continue;   // 检查期间被清理了
+    const fields = withVideoStatus(video, status, time);
+    if (fields.invalid) {
+      videoStore.put({ ...video, attr: attrFromStatus(fields.status), ...fields, recheckedAt: time });
+      continue;
+    }
+
+    videoStore.put({ ...withoutTitleSource(video), ...info, ...fields, recheckedAt: time });
+    restored.push(bvid);
+    const memberships = await promisifyRequest(transaction.objectStore(DB_STORE_MEMBERSHIPS).index("bvid").getAll(bvid));
+    const membership = memberships.find(item => item.mid === mid);
+    if (membership) {
+      const folder = await promisifyRequest(transaction.objectStore(DB_STORE_FOLDERS).get(membership.favId)) || { id: membership.favId };
+      createHistoryWriter(transaction, mid, folder).add("restore", bvid, info);
+    }
+  }
+  return restored;
+});
+
+
+/**
+ * 把外部的备份数据 (导入文件等) 合并到某个账号的备份中，只会增加、不会丢弃已备份的视频
+ *
+ *   1. 本地没有备份的视频 -> 使用外部的备份 (本地已知失效的，仍然标记为失效)
+ *   2. 本地已有备份的视频 -> 保留本地备份 (本地只有其他来源的标题、外部是插件自己的备份时，使用外部的备份)
+ *   3. 本地没有的收藏夹、对应关系 -> 新增
+ *   4. 外部标记为失效、本地又没有记录的视频 -> 记录为已知的失效视频 (使用外部记录的状态，旧版本的备份文件中没有状态)
+ *
+ * @param {number} mid - 用户ID
+ * @param {Array<Object>} folders - 收藏夹列表 { id, title, cnt, medias: [{ ...视频信息, fav_time, invalid }] }
+ * @param {string[]} invalidIds - 已知失效的视频ID
+ * @param {Object} [statuses] - 已知失效的视频的状态 bvid -> 视频状态
+ * @returns {Promise<number>} 新增的视频备份个数
+ */
+const mergeBackup = (mid, folders, invalidIds, statuses = {}) => runTransaction([DB_STORE_VIDEOS, DB_STORE_MEMBERSHIPS, DB_STORE_FOLDERS], "readwrite", async (transaction) => {
+  const videoStore = transaction.objectStore(DB_STORE_VIDEOS);
+  const membershipStore = transaction.objectStore(DB_STORE_MEMBERSHIPS);
+  const folderStore = transaction.objectStore(DB_STORE_FOLDERS);
+
+  const folderCount = await promisifyRequest(folderStore.index("mid").count(mid));
+  let added = 0;
+  for (const [index, folder] of folders.entries()) {
+    if (!await promisifyRequest(folderStore.get(folder.id))) {
+      folderStore.put({
+        id: folder.id, mid, title: folder.title, cnt: folder.cnt, type: folder.type, index: folderCount + index,
+        attr: folder.attr, intro: folder.intro, cover: folder.cover, ctime: folder.ctime, mtime: folder.mtime,
+      });
+    }
+
+    for (const { invalid, fav_time, ...media } of folder.medias || []) {
+      if (!media.bvid) continue;
+      const existing = await promisifyRequest(videoStore.get(media.bvid));
+      if (!hasOwnBackup(existing) && isBackedUp(media) && (!isBackedUp(existing) || media.titleSource === undefined)) {
+        videoStore.put({
+          ...media,
+          status: existing ? getVideoStatus(existing) : media.status,
+          states: existing?.states ?? media.states,
+          invalid: existing?.invalid ?? (invalid ? 1 : 0),
+          invalidSince: existing?.invalidSince ?? media.invalidSince,
+        });
+        added += 1;
+      }
+      if (!await promisifyRequest(membershipStore.get([folder.id, media.bvid]))) {
+        membershipStore.put({ favId: folder.id, bvid: media.bvid, mid, fav_time });
+      }
+    }
+  }
+
+  for (const bvid of invalidIds) {
+    if (!await promisifyRequest(videoStore.get(bvid))) {
+      const status = statuses[bvid] in VIDEO_STATUS_NAMES && statuses[bvid] !== VIDEO_STATUS_NORMAL ? statuses[bvid] : VIDEO_STATUS_UNAVAILABLE;
+      videoStore.put({ bvid, attr: attrFromStatus(status), ...withVideoStatus(undefined, status) });
+    }
+  }
+  return added;
+});
@@ -0,0 +1,249 @@
+/**
+ * background/sync.js
+ *
+ * WebDAV 同步 (可选): 备份数据只保存在当前 Chrome 个人资料中，卸载插件后会被删除，同步到用户自己的 WebDAV 服务器后，
+ * 换电脑或重装插件时可以找回所有备份
+ *   - 推送: 每次备份成功后，把当前账号的备份 (导出的 JSON 格式，带版本号) 和变更历史上传为 bilibili-fav-backup-<用户ID>.json
+ *   - 拉取: 启动浏览器时，下载服务器上所有账号的备份文件，合并到本地备份中
+ *   - 合并规则与导入备份相同 (见 mergeBackup): 只会增加、不会删除，已失效视频的备份总是优先于 "没有备份"
+ *
+ * 同步失败不影响备份本身，错误记录在同步状态中，在选项页中查看
+ */
+
+
+const STORAGE_WEBDAV_KEY = "webdav";              // WebDAV 配置 { url: 目录的URL, username, password }，url 为空表示不同步
+const STORAGE_WEBDAV_STATE_KEY = "webdav_state";  // 同步状态 { lastPushAt, lastPullAt, error, errorAt }
+
+const WEBDAV_FILE_PATTERN = /bilibili-fav-backup-(\d+)\.json$/;   // 服务器上的备份文件名
+const WEBDAV_TIMEOUT = 60 * 1000;                                  // 每个请求的超时时间 (毫秒)
+
+
+/**
+ * 获取 WebDAV 配置
+ *
+ * @returns {Promise<Object>} { url, username, password }
+ */
+const getWebdavConfig = async () => {
+  const { [STORAGE_WEBDAV_KEY]: saved = {} } = await chrome.storage.local.get([STORAGE_WEBDAV_KEY]);
+  return { url: saved.url || "", username: saved.username || "", password: saved.password || "" };
+}
+
+/**
+ * 校验并保存 WebDAV 配置
+ *
+ * @param {Object} config - { url, username, password }
+ * @returns {Promise<Object>} 保存后的配置
+ * @throws {Error} URL 格式错误
+ */
+const saveWebdavConfig = async (config) => {
+  const url = String(config.url || "").trim();
+  if (url && !/^https?:\/\/[^/]+/.test(url)) {
+    throw new Error("WebDAV 地址需要是 http(s) 开头的URL");
+  }
+  const saved = {
+    url: url && !url.endsWith("/") ? `${url}/` : url,   // 统一以 / 结尾，方便拼接文件名
+    username: String(config.username || ""),
+    password: String(config.password || ""),
+  };
+  await chrome.storage.local.set({ [STORAGE_WEBDAV_KEY]: saved });
+  return saved;
+}
+
+/**
+ * 获取同步状态
+ *
+ * @returns {Promise<Object>} { lastPushAt, lastPullAt, error, errorAt }
+ */
+const getWebdavState = async () => {
+  const { [STORAGE_WEBDAV_STATE_KEY]: state = {} } = await chrome.storage.local.get([STORAGE_WEBDAV_STATE_KEY]);
+  return state;
+}
+
+/**
+ * 修改同步状态
+ *
+ * @param {Object} fields - 要修改的字段
+ */
+const updateWebdavState = async (fields) => {
+  await chrome.storage.local.set({ [STORAGE_WEBDAV_STATE_KEY]: { ...await getWebdavState(), ...fields } });
+}
+
+
+/**
+ * 发送 WebDAV 请求 (带 Basic 认证和超时)
+ *
+ * @param {Object} config - WebDAV 配置
+ * @param {string} method - HTTP请求方法
+ * @param {string} url - URL
+ * @param {Object} [options] - { headers, body }
+ * @returns {Promise<Response>} 响应
+ * @throws {Error} 网络错误、超时
+ */
+const webdavRequest = async (config, method, url, { headers = {}, body } = {}) => {
+  if (config.username || config.password) {
+    // btoa 只支持 Latin1 字符，用户名和密码先按 UTF-8 编码
+    const credentials = String.fromCharCode(...new TextEncoder().encode(`${config.username}:${config.password}`));
+    headers = { ...headers, Authorization: `Basic ${btoa(credentials)}` };
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEBDAV_TIMEOUT);
+  try {
+    return await fetch(url, { method, headers, body, credentials: "omit", signal: controller.signal });
+  } catch (err) {
+    throw new Error(`无法连接 WebDAV 服务器: ${err.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 检查 WebDAV 响应的状态码
+ *
+ * @param {Response} response - 响应
+ * @param {string} action - 操作名称，用于错误信息
+ * @throws {Error} 状态码表示失败
+ */
+const checkWebdavResponse = (response, action) => {
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(`${action}失败: 用户名或密码错误 (状态码: ${response.status})`);
+  }
+  if (!response.ok) {
+    throw new Error(`${action}失败, 状态码: ${response.status}`);
+  }
+}
+
+/**
+ * 列出服务器上的备份文件
+ *
+ * @param {Object} config - WebDAV 配置
+ * @returns {Promise<Array<Object>>} [{ mid, url }]，目录不存在时返回空数组
+ */
+const listWebdavBackups = async (config) => {
+  const response = await webdavRequest(config, "PROPFIND", config.url, {
+    headers: { Depth: "1", "Content-Type": "application/xml; charset=utf-8" },
+    body: '<?xml version="1.0" encoding="utf-8"?><propfind xmlns="DAV:"><prop><resourcetype/></prop></propfind>',
+  });
+  if (response.status === 404) return [];
+  checkWebdavResponse(response, "读取 WebDAV 目录");
+
+  // 各种服务器返回的命名空间前缀不同 (D:href、d:href、href)，直接用正则提取
+  const xml = await response.text();
+  const files = new Map();
+  for (const [, href] of xml.matchAll(/<(?:[\w-]+:)?href>([^<]+)<\/(?:[\w-]+:)?href>/g)) {
+    const path = decodeURIComponent(href.trim());
+    const mid = path.match(WEBDAV_FILE_PATTERN)?.[1];
+    if (mid) files.set(mid, new URL(href.trim(), config.url).href);
+  }
+  return [...files].map(([mid, url]) => ({ mid: Number(mid), url }));
+}
+
+/**
+ * 把某个账号的备份推送到服务器，覆盖服务器上的文件
+ *
+ * 上传的是合并后的完整备份: 拉取时已经把服务器上的备份合并到了本地，不会丢失其他设备推送的数据
+ *
+ * @param {number} mid - 用户ID
+ * @returns {Promise<boolean>} 是否推送了 (没有配置 WebDAV 时不推送)
+ * @throws {Error} 请求失败
+ */
+const pushWebdavBackup = async (mid) => {
+  const config = await getWebdavConfig();
+  if (!config.url) return false;
+
+  const data = {
+    ...await buildExportData(mid),
+    history: (await getHistory(mid)).map(({ id, ...event }) => event),   // 变更历史 (导入备份时会被忽略)
+  };
+  const url = `${config.url}bilibili-fav-backup-${mid}.json`;
+  const body = JSON.stringify(data);
+  let response = await webdavRequest(config, "PUT", url, { headers: { "Content-Type": "application/json" }, body });
+  if (response.status === 409) {
+    // 目录不存在，创建后重试
+    checkWebdavResponse(await webdavRequest(config, "MKCOL", config.url), "创建 WebDAV 目录");
+    response = await webdavRequest(config, "PUT", url, { headers: { "Content-Type": "application/json" }, body });
+  }
+  checkWebdavResponse(response, "上传备份");
+  return true;
+}
+
+/**
+ * 拉取服务器上所有账号的备份，合并到本地备份中
+ *
+ * @returns {Promise<Array<Object>|null>} 每个账号的合并结果 [{ mid, added: 新增的视频备份个数, events: 新增的变更历史个数 }]，没有配置 WebDAV 时返回 null
+ * @throws {Error} 请求失败、文件格式错误
+ */
+const pullWebdavBackups = async () => {
+  const config = await getWebdavConfig();
+  if (!config.url) return null;
+
+  const results = [];
+  for (const file of await listWebdavBackups(config)) {
+    const response = await webdavRequest(config, "GET", file.url);
+    checkWebdavResponse(response, "下载备份");
+    const text = await response.text();
+
+    const { mid, added } = await importBackup(text);   // 校验格式和版本，合并规则与导入备份相同
+    const { history } = JSON.parse(text);
+    const events = Array.isArray(history) ? await mergeHistory(mid, history) : 0;
+    results.push({ mid, added, events });
+  }
+  return results;
+}
+
+
+/**
+ * 备份成功后推送到服务器，失败时只记录错误
+ *
+ * @param {number} mid - 用户ID
+ */
+const syncAfterBackup = async (mid) => {
+  try {
+    if (await pushWebdavBackup(mid)) {
+      await updateWebdavState({ lastPushAt: Date.now(), error: null });
+    }
+  } catch (err) {
+    console.error("推送备份到 WebDAV 失败:", err);
+    await updateWebdavState({ error: `推送失败: ${err.message}`, errorAt: Date.now() });
+  }
+}
+
+/**
+ * 启动浏览器时从服务器拉取并合并，失败时只记录错误
+ */
+const syncOnStartup = async () => {
+  try {
+    if (await pullWebdavBackups()) {
+      await updateWebdavState({ lastPullAt: Date.now(), error: null });
+    }
+  } catch (err) {
+    console.error("从 WebDAV 拉取备份失败:", err);
+    await updateWebdavState({ error: `拉取失败: ${err.message}`, errorAt: Date.now() });
+  }
+}
+
+/**
+ * 立即同步 (选项页中手动执行): 先拉取合并，再推送当前账号的备份，出错时抛出
+ *
+ * @param {number} [mid] - 当前账号的用户ID，为空时只拉取
+ * @returns {Promise<Object>} { pulled: 每个账号的合并结果, pushed: 是否推送了 }
+ * @throws {Error} 没有配置 WebDAV、请求失败
+ */
+const syncWebdavNow = async (mid) => {
+  const config = await getWebdavConfig();
+  if (!config.url) {
+    throw new Error("还没有配置 WebDAV 地址");
+  }
+  try {
+    const pulled = await pullWebdavBackups();
+    await updateWebdavState({ lastPullAt: Date.now(), error: null });
+    const pushed = mid !== undefined && await pushWebdavBackup(mid);
+    if (pushed) {
+      await updateWebdavState({ lastPushAt: Date.now() });
+    }
+    return { pulled, pushed };
+  } catch (err) {
+    await updateWebdavState({ error: err.message, errorAt: Date.now() });
+    throw err;
+  }
+}
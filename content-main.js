@@ -0,0 +1,95 @@
+/**
+ * content-main.js
+ *
+ * 运行在页面本身的上下文中 (MAIN world)，在页面脚本执行之前包装 fetch 和 XMLHttpRequest，
+ * 拿到收藏夹、合集、稍后再看列表请求的响应后，通过 window.postMessage 转交给 content.js，不需要插件再发送一次相同的请求
+ *
+ * 注意: 这里无法使用 chrome.* API，也不要修改响应内容，只读取
+ */
+(() => {
+    /**
+     * 列表请求的路径: 收藏夹 (包括收藏的其他用户的收藏夹)、订阅的合集、稍后再看
+     */
+    const LIST_MEDIA_PATHS = ["/x/v3/fav/resource/list", "/x/space/fav/season/list", "/x/v2/history/toview", "/x/v2/history/toview/web"];
+
+    /**
+     * 转交给 content.js 的消息的来源标记
+     */
+    const MESSAGE_SOURCE = "bili-fav-backup";
+
+
+    /**
+     * 是否是需要读取响应的列表请求
+     *
+     * @param {string} url - 请求URL
+     * @returns {boolean}
+     */
+    const isListMediaUrl = (url) => {
+        try {
+            return LIST_MEDIA_PATHS.includes(new URL(url, location.href).pathname);
+        } catch {
+            return false;
+        }
+    };
+
+    /**
+     * 获取视频是否失效: 收藏夹使用 attr 字段，稍后再看使用稿件状态 state 字段 (小于 0 时无法观看，-100 为up主自己删除)
+     *
+     * @param {Object} media - 列表中的视频
+     * @returns {number} attr: 0-正常 1-其他原因删除 9-up主自己删除
+     */
+    const getAttr = (media) => {
+        if (media.attr !== undefined) return media.attr;
+        if (media.state === undefined || media.state >= 0) return 0;   // 合集中的视频没有 attr 字段
+        return media.state === -100 ? 9 : 1;
+    };
+
+    /**
+     * 把列表请求的响应转交给 content.js
+     *
+     * @param {Object} res - 响应数据
+     */
+    const postResponse = (res) => {
+        const medias = res?.data?.medias ?? res?.data?.list;   // 稍后再看的视频列表是 list
+        if (!Array.isArray(medias) || medias.length === 0) return;
+        window.postMessage({
+            source: MESSAGE_SOURCE,
+            type: "listMediaResponse",
+            // 稍后再看的稿件状态 state 可以区分审核中、被锁定等，一起转交
+            medias: medias.map(media => ({ bvid: media.bvid, attr: getAttr(media), state: media.attr === undefined ? media.state : undefined })),
+        }, location.origin);
+    };
+
+
+    // 1. 包装 fetch
+    const originalFetch = window.fetch;
+    window.fetch = function (input, init) {
+        const promise = originalFetch.apply(this, arguments);
+        const url = input instanceof Request ? input.url : String(input);
+        if (isListMediaUrl(url)) {
+            promise
+                .then(response => response.clone().json())
+                .then(postResponse)
+                .catch(() => {});   // 请求失败由页面自己处理
+        }
+        return promise;
+    };
+
+    // 2. 包装 XMLHttpRequest
+    const originalOpen = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function (method, url) {
+        if (isListMediaUrl(String(url))) {
+            this.addEventListener("load", () => {
+                try {
+                    const res = this.responseType === "json" ? this.response
+                        : (this.responseType === "" || this.responseType === "text") ? JSON.parse(this.responseText)
+                        : null;
+                    postResponse(res);
+                } catch (err) {
+                    console.error("读取收藏夹分页请求的响应出错:", err);
+                }
+            });
+        }
+        return originalOpen.apply(this, arguments);
+    };
+})();
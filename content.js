@@ -1,30 +1,121 @@
+/**
+ * 当前页面是否是稍后再看页面 (其他页面都是收藏夹页面)
+ */
+const IS_WATCH_LATER_PAGE = location.hostname === "www.bilibili.com" && location.pathname.startsWith("/watchlater");
+
+/**
+ * CSS 选择器  
+ * 用于获取当前页面所有视频的标题元素 (稍后再看页面兼容新旧两个版本)
+ */
+const VIDEO_TITLE_SELECTOR = IS_WATCH_LATER_PAGE
+    ? ".bili-video-card__title a, .list-box .av-item .av-about a.t"
+    : ".fav-list-main .items .bili-video-card__details div[title] a";
+
 /**
  * CSS 选择器  
- * 用于获取当前收藏夹页面所有视频的标题元素
+ * 用于从标题元素找到所在的视频卡片，以及卡片中的封面元素
+ */
+const VIDEO_CARD_SELECTOR = IS_WATCH_LATER_PAGE ? ".bili-video-card, .av-item" : ".bili-video-card";
+const VIDEO_COVER_SELECTOR = IS_WATCH_LATER_PAGE ? ".bili-video-card__cover, .av-pic" : ".bili-video-card__cover";
+
+
+/**
+ * content-main.js 转交列表请求响应时使用的来源标记
+ */
+const MESSAGE_SOURCE = "bili-fav-backup";
+
+/**
+ * 悬停卡片中的搜索链接，{keyword} 替换为视频标题
+ */
+const SEARCH_ENGINES = [
+    { name: "在B站搜索", url: "https://search.bilibili.com/all?keyword={keyword}" },
+    { name: "用百度搜索", url: "https://www.baidu.com/s?wd={keyword}" },
+    { name: "用 Google 搜索", url: "https://www.google.com/search?q={keyword}" },
+];
+
+/**
+ * 悬停卡片的样式 (卡片放在 Shadow DOM 中，不受页面样式影响)
  */
-const VIDEO_TITLE_SELECTOR = ".fav-list-main .items .bili-video-card__details div[title] a";
+const HOVER_CARD_STYLE = `
+    .card { position: fixed; z-index: 100000; width: 320px; padding: 12px 14px; box-sizing: border-box;
+        background: #fff; color: #18191c; border-radius: 8px; box-shadow: 0 4px 16px rgba(0, 0, 0, .18);
+        font: 13px/1.6 -apple-system, "PingFang SC", "Microsoft YaHei", sans-serif; }
+    .card[hidden] { display: none; }
+    .title { margin-bottom: 6px; font-size: 14px; font-weight: bold; word-break: break-all; }
+    .row { display: flex; gap: 6px; align-items: center; color: #61666d; }
+    .label { flex: none; color: #9499a0; }
+    .intro { max-height: 6.4em; margin: 6px 0; overflow: auto; white-space: pre-wrap; color: #61666d; }
+    .hint { color: #9499a0; font-size: 12px; }
+    .actions { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px; }
+    a { color: #00aeec; text-decoration: none; }
+    a:hover { text-decoration: underline; }
+    button { padding: 0 6px; border: 1px solid #00aeec; border-radius: 4px; color: #00aeec; background: #fff;
+        font-size: 12px; line-height: 18px; cursor: pointer; }
+    button:hover { color: #fff; background: #00aeec; }
+`;
 
 
 /**
- * 监听消息  
- * 当接收到消息时，根据消息类型执行相应的处理
+ * 监听 content-main.js 转交的收藏夹、稍后再看列表请求响应
  * 
- * @param {Object} request - 接收到的消息对象，包含消息类型和数据
- * @param {Object} sender - 消息发送者的信息
- * @param {Function} sendResponse - 用于向发送者回复消息的回调函数
+ * 1. 获取其中的失效视频
+ * 2. 发送给 background 查询备份的标题、简介、封面 (响应直接回到当前标签页，不需要 background 查找是哪个标签页发出的请求)
+ * 3. 使用其中的备份标题替换当前页面的失效标题
  */
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    // 监听来自 background 的消息，接收当前页面的失效视频列表，并使用其中的备份标题替换当前页面的失效标题
-    if (request.type === "replaceInvalidTitles") {
-        const invalidMedias = request.data;
-        // console.log("备份数据:", invalidMedias);
+window.addEventListener("message", async (event) => {
+    if (event.source !== window || event.data?.source !== MESSAGE_SOURCE || event.data.type !== "listMediaResponse") return;
+
+    // attr: 是否失效 0-正常 9-up主自己删除 其他-失效 (具体原因由 background 根据备份中记录的状态判断)
+    const invalidMedias = event.data.medias.filter(media => media.attr !== 0);
+    if (invalidMedias.length === 0) return;
 
-        if (invalidMedias.length > 0) {
-            debouncedReplaceTitles(invalidMedias)
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: "getInvalidMediaBackups",
+            medias: invalidMedias,
+            favId: getCurrentFolderId(),
+            mid: getLoggedInMid(),
+        });
+        if (!response?.ok) {
+            throw new Error(response?.error || "未收到响应");
         }
+        // console.log("备份数据:", response.data);
+        debouncedReplaceTitles(response.data);
+    } catch (err) {
+        console.error("查询失效视频的备份出错:", err);
     }
 });
 
+/**
+ * 监听 background 在线查询到的标题 (没有备份的失效视频，查询较慢，不在第一次的响应中)，替换对应的失效标题
+ */
+chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type !== "resolvedMediaBackups" || !Array.isArray(message.medias)) return;
+    replaceTitles(message.medias);
+});
+
+/**
+ * 获取页面上当前登录的用户ID (B站登录后设置的 DedeUserID cookie)
+ * 
+ * 不使用个人空间 URL 中的用户ID: 浏览其他用户的收藏夹时，URL 中的是收藏夹所有者的ID
+ * 
+ * @returns {string|null} 用户ID，没有登录时为 null
+ */
+const getLoggedInMid = () => document.cookie.match(/(?:^|;\s*)DedeUserID=(\d+)/)?.[1] ?? null;
+
+/**
+ * 获取当前页面的收藏夹ID
+ * 
+ * @returns {string|null} 收藏夹ID (合集为负数)，稍后再看页面为 "watchlater"，默认收藏夹 (URL 中没有 fid) 为 null
+ */
+const getCurrentFolderId = () => {
+    if (IS_WATCH_LATER_PAGE) return "watchlater";
+    const params = new URLSearchParams(location.search);
+    const fid = params.get("fid");
+    if (!fid) return null;
+    return params.get("ctype") === "21" ? `-${fid}` : fid;   // 订阅的合集
+}
+
 /**
  * 获取当前页面所有视频标题对应的 \<a> 标签列表
  *
@@ -60,18 +151,206 @@ const getTitles = () => {
     })
 }
 
+/**
+ * 替换失效视频卡片上的封面
+ * 
+ * 封面由 \<picture> 中的 \<source> 和 \<img> 组成，浏览器会优先使用 \<source>，所以两者都要替换
+ * 
+ * @param {Element} title - 视频标题对应的 \<a> 标签
+ * @param {string} coverData - 存档封面的 data URL
+ */
+const replaceCover = (title, coverData) => {
+    const cover = title.closest(VIDEO_CARD_SELECTOR)?.querySelector(VIDEO_COVER_SELECTOR);
+    if (!cover) {
+        console.error("未找到视频卡片的封面元素");
+        return;
+    }
+    cover.querySelectorAll("source").forEach(source => source.srcset = coverData);
+    cover.querySelectorAll("img").forEach(img => {
+        img.src = coverData;
+        img.removeAttribute("srcset");
+    });
+}
+
+/**
+ * 悬停卡片 (页面上只有一个，鼠标移到不同的失效视频标题上时更新内容)
+ */
+let hoverCard = null;
+
+/**
+ * 标题元素 -> 对应的失效视频，翻页后标题元素可能被复用，每次替换标题时更新
+ */
+const hoverCardMedias = new WeakMap();
+
+/**
+ * 延迟隐藏悬停卡片的定时器，鼠标从标题移到卡片上时取消隐藏
+ */
+let hoverCardHideTimer = null;
+
+/**
+ * 创建元素
+ * 
+ * @param {string} tag - 标签名
+ * @param {Object} [props] - 要设置的属性 (className、textContent、href 等)
+ * @param {Array<Node|string>} [children] - 子节点
+ * @returns {Element}
+ */
+const createElement = (tag, props = {}, children = []) => {
+    const element = Object.assign(document.createElement(tag), props);
+    element.append(...children.filter(child => child !== null && child !== undefined && child !== false));
+    return element;
+}
+
+/**
+ * 创建在新标签页中打开的链接
+ * 
+ * @param {string} text - 链接文本
+ * @param {string} href - URL
+ * @returns {Element}
+ */
+const createLink = (text, href) => createElement("a", { textContent: text, href, target: "_blank", rel: "noopener noreferrer" });
+
+/**
+ * 创建复制按钮，点击后复制文本，按钮文字短暂变为 "已复制"
+ * 
+ * @param {string} text - 要复制的文本
+ * @returns {Element}
+ */
+const createCopyButton = (text) => {
+    const button = createElement("button", { textContent: "复制" });
+    button.addEventListener("click", async () => {
+        try {
+            await navigator.clipboard.writeText(text);
+            button.textContent = "已复制";
+        } catch (err) {
+            button.textContent = "复制失败";
+            console.error("复制失败:", err);
+        }
+        setTimeout(() => button.textContent = "复制", 1500);
+    });
+    return button;
+}
+
+/**
+ * 格式化时间
+ * 
+ * @param {number} [timestamp] - 时间戳 (毫秒)
+ * @returns {string} 格式化后的时间，为空时返回 "未知"
+ */
+const formatTime = (timestamp) => timestamp ? new Date(timestamp).toLocaleString() : "未知";
+
+/**
+ * 获取悬停卡片，第一次使用时创建
+ * 
+ * @returns {Element} 卡片元素
+ */
+const getHoverCard = () => {
+    if (hoverCard) return hoverCard;
+
+    const host = document.createElement("div");
+    const root = host.attachShadow({ mode: "closed" });
+    root.append(createElement("style", { textContent: HOVER_CARD_STYLE }));
+    hoverCard = createElement("div", { className: "card", hidden: true });
+    hoverCard.addEventListener("mouseenter", () => clearTimeout(hoverCardHideTimer));
+    hoverCard.addEventListener("mouseleave", hideHoverCardLater);
+    root.append(hoverCard);
+    document.body.append(host);
+    return hoverCard;
+}
+
+/**
+ * 在标题下方显示失效视频的悬停卡片
+ * 
+ * @param {Element} title - 视频标题对应的 \<a> 标签
+ * @param {Object} media - 失效视频，见 replaceTitles
+ */
+const showHoverCard = (title, media) => {
+    clearTimeout(hoverCardHideTimer);
+    const card = getHoverCard();
+    const keyword = encodeURIComponent(media.title);
+    const row = (label, ...children) => createElement("div", { className: "row" }, [createElement("span", { className: "label", textContent: label }), ...children]);
+
+    card.replaceChildren(
+        createElement("div", { className: "title", textContent: media.title }),
+        media.source && createElement("div", { className: "hint", textContent: `标题来源: ${media.source}` }),
+        row("UP主", media.upMid ? createLink(media.upName || media.upMid, `https://space.bilibili.com/${media.upMid}`) : (media.upName || "未知")),
+        row("BV号", media.bvid, createCopyButton(media.bvid)),
+        media.avid && row("AV号", `av${media.avid}`, createCopyButton(`av${media.avid}`)),
+        row("收藏时间", formatTime(media.favTime && media.favTime * 1000)),
+        row("发现失效", formatTime(media.invalidSince)),
+        row("当前状态", media.statusName),
+        media.statusSince && row("状态时间", `${formatTime(media.statusSince)} 起，最近确认于 ${formatTime(media.statusCheckedAt)}`),
+        media.intro && createElement("div", { className: "intro", textContent: media.intro }),
+        media.folders?.length > 0 && row("也在", createElement("span", {}, media.folders.flatMap(
+            (folder, i) => [i > 0 && "、", createLink(folder.title, folder.url)]
+        ))),
+        createElement("div", { className: "actions" }, SEARCH_ENGINES.map(
+            engine => createLink(engine.name, engine.url.replace("{keyword}", keyword))
+        )),
+    );
+
+    // 默认显示在标题下方，超出窗口底部时显示在上方
+    card.hidden = false;
+    const rect = title.getBoundingClientRect();
+    const cardHeight = card.offsetHeight;
+    const top = rect.bottom + 6 + cardHeight > window.innerHeight ? rect.top - 6 - cardHeight : rect.bottom + 6;
+    card.style.top = `${Math.max(0, top)}px`;
+    card.style.left = `${Math.max(0, Math.min(rect.left, window.innerWidth - card.offsetWidth))}px`;
+}
+
+/**
+ * 鼠标离开标题或卡片后延迟隐藏卡片，留出把鼠标移到卡片上的时间
+ */
+const hideHoverCardLater = () => {
+    clearTimeout(hoverCardHideTimer);
+    hoverCardHideTimer = setTimeout(() => {
+        if (hoverCard) hoverCard.hidden = true;
+    }, 300);
+}
+
+/**
+ * 给失效视频的标题绑定悬停卡片，去掉页面原有的 title 提示 (否则会和卡片重叠)
+ * 
+ * @param {Element} title - 视频标题对应的 \<a> 标签
+ * @param {Object} media - 失效视频
+ */
+const bindHoverCard = (title, media) => {
+    if (!hoverCardMedias.has(title)) {
+        title.addEventListener("mouseenter", () => {
+            // 翻页后标题元素可能被页面复用为其他视频的标题，只在标题仍然是替换后的标题时显示
+            const current = hoverCardMedias.get(title);
+            if (current && title.textContent === current.title) showHoverCard(title, current);
+        });
+        title.addEventListener("mouseleave", hideHoverCardLater);
+    }
+    hoverCardMedias.set(title, media);
+    title.removeAttribute("title");
+    title.closest("[title]")?.removeAttribute("title");
+}
+
 /**
  * 替换页面上失效视频的标题
  * 
  * 1. 获取页面上所有视频标题元素
  * 2. 遍历失效视频列表，查找对应的标题元素
- * 3. 替换标题文本和提示信息
+ * 3. 替换标题文本，绑定悬停卡片，有存档的封面时一并替换封面
  * 
  * @param {Array<Object>} invalidMedias - 失效视频列表
  * @param {string} invalidMedias[].bvid - 视频的 BV 号
  * @param {string} invalidMedias[].title - 备份标题
- * @param {string} invalidMedias[].intro - 视频简介
+ * @param {string} invalidMedias[].intro - 备份的视频简介
+ * @param {string} [invalidMedias[].upName] - 备份的up主名称
+ * @param {number} [invalidMedias[].upMid] - 备份的up主ID
+ * @param {number|string} [invalidMedias[].avid] - 视频的 AV 号
+ * @param {number} [invalidMedias[].favTime] - 收藏到当前收藏夹的时间 (秒)
+ * @param {number} [invalidMedias[].invalidSince] - 插件第一次发现视频失效的时间 (毫秒)
+ * @param {Array<Object>} invalidMedias[].folders - 同一个视频所在的其他收藏夹 [{ id, title, url }]
  * @param {number} invalidMedias[].attr - 是否失效 0-正常 1-其他原因删除 9-up主自己删除
+ * @param {string} invalidMedias[].statusName - 具体的失效原因 (视频不存在、up主自己删除、仅up主自己可见、审核中等)
+ * @param {number} [invalidMedias[].statusSince] - 插件第一次看到这个状态的时间 (毫秒)
+ * @param {number} [invalidMedias[].statusCheckedAt] - 插件最近一次确认这个状态的时间 (毫秒)
+ * @param {string|null} invalidMedias[].coverData - 存档封面的 data URL
+ * @param {string} [invalidMedias[].source] - 标题不是插件自己的备份时，标题的来源 (导入的数据、查询接口、网页存档)
  */
 const replaceTitles = async (invalidMedias) => {
     try {
@@ -82,7 +361,10 @@ const replaceTitles = async (invalidMedias) => {
             let title = titles.find(title => title.href.includes(media.bvid)); 
             if (title) {
                 title.textContent = media.title
-                title.title = media.intro + `\n\n${media.attr === 9 ? "up主自己删除": "其他原因删除"}`
+                bindHoverCard(title, media)
+                if (media.coverData) {
+                    replaceCover(title, media.coverData)
+                }
             } else {
                 console.error(`未找到匹配的元素: ${media.bvid}`)
             }
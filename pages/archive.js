@@ -0,0 +1,372 @@
+/**
+ * pages/archive.js
+ * 
+ * 归档页: 浏览取消收藏、收藏夹被删除后归档的视频备份，并恢复到某个收藏夹的备份中；
+ * 预览并在B站上重新创建被删除的收藏夹；预览并从B站收藏夹中清理已备份的失效视频
+ */
+
+
+const REASON_NAMES = { "unfavorited": "取消收藏", "folder-deleted": "收藏夹被删除", "cleaned": "清理失效视频 (永久保留)" };
+
+const accountSelect = document.getElementById("account");
+const folderSelect = document.getElementById("folder");
+
+/**
+ * 当前账号的归档记录，以及可以恢复到的收藏夹
+ */
+let archive = { entries: [], folders: [] };
+
+const restorePlan = document.getElementById("restore-plan");
+const cleanFolderSelect = document.getElementById("clean-folder");
+const cleanPlan = document.getElementById("clean-plan");
+
+
+/**
+ * 创建下拉框选项
+ * 
+ * @param {string|number} value - 选项的值
+ * @param {string} text - 选项的文本
+ * @returns {HTMLOptionElement} 选项
+ */
+const createOption = (value, text) => {
+  const option = document.createElement("option");
+  option.value = value;
+  option.textContent = text;
+  return option;
+}
+
+/**
+ * 用归档记录中出现过的收藏夹填充筛选下拉框，尽量保留之前的选择
+ */
+const renderFolderOptions = () => {
+  const selected = folderSelect.value;
+  const folders = new Map(archive.entries.map(entry => [String(entry.favId), entry.favTitle || String(entry.favId)]));
+  folderSelect.replaceChildren(
+    createOption("", "全部"),
+    ...Array.from(folders, ([favId, title]) => createOption(favId, title)),
+  );
+  folderSelect.value = folders.has(selected) ? selected : "";
+}
+
+/**
+ * 把归档中的视频恢复到选中的收藏夹
+ * 
+ * @param {Object} entry - 归档记录
+ * @param {string} targetFavId - 要恢复到的收藏夹ID
+ */
+const handleRestore = async (entry, targetFavId) => {
+  try {
+    await sendMessage("restoreArchived", { mid: accountSelect.value, favId: entry.favId, bvid: entry.bvid, targetFavId });
+    await loadArchive();
+  } catch (err) {
+    alert(`恢复失败: ${err.message}`);
+  }
+}
+
+/**
+ * 展示一条归档记录
+ * 
+ * @param {Object} entry - 归档记录
+ * @returns {HTMLTableRowElement} 表格行
+ */
+const renderEntry = (entry) => {
+  const row = document.createElement("tr");
+  const cells = Array.from({ length: 6 }, () => document.createElement("td"));
+
+  const link = document.createElement("a");
+  link.href = `${VIDEO_URL_PREFIX}${entry.bvid}`;
+  link.target = "_blank";
+  link.textContent = entry.video.title || entry.bvid;
+  link.title = entry.video.intro || entry.bvid;
+  cells[0].appendChild(link);
+  if (entry.video.invalid) {
+    const tag = document.createElement("span");
+    tag.className = "tag";
+    tag.textContent = VIDEO_STATUS_NAMES[entry.video.status] || "已失效";
+    cells[0].appendChild(tag);
+  }
+  cells[1].textContent = entry.video.up?.name || "";
+  cells[2].textContent = entry.favTitle || entry.favId;
+  cells[3].textContent = REASON_NAMES[entry.reason] || entry.reason;
+  cells[4].textContent = new Date(entry.archivedAt).toLocaleString();
+
+  // 默认恢复到原收藏夹 (收藏夹已被删除时需要另外选择)
+  const select = document.createElement("select");
+  select.append(...archive.folders.map(folder => createOption(folder.id, folder.title)));
+  select.value = archive.folders.some(folder => folder.id === entry.favId) ? entry.favId : "";
+  const button = document.createElement("button");
+  button.textContent = "恢复";
+  button.disabled = archive.folders.length === 0;
+  button.addEventListener("click", () => handleRestore(entry, select.value));
+  cells[5].append(select, " ", button);
+
+  row.append(...cells);
+  return row;
+}
+
+/**
+ * 按筛选条件展示归档记录
+ */
+const renderEntries = () => {
+  const favId = folderSelect.value;
+  const entries = archive.entries.filter(entry => !favId || String(entry.favId) === favId);
+  document.getElementById("summary").textContent = `共 ${entries.length} 条归档记录`;
+  document.getElementById("entries").replaceChildren(...entries.map(renderEntry));
+}
+
+/**
+ * 创建一个带标题的视频列表
+ *
+ * @param {string} title - 标题
+ * @param {Array<Object>} medias - 视频 [{ bvid, title, statusName, error }]
+ * @returns {DocumentFragment} 标题和列表
+ */
+const createMediaList = (title, medias) => {
+  const fragment = document.createDocumentFragment();
+  const heading = document.createElement("p");
+  heading.textContent = title;
+  const list = document.createElement("ul");
+  list.append(...medias.map(media => {
+    const item = document.createElement("li");
+    const link = document.createElement("a");
+    link.href = `${VIDEO_URL_PREFIX}${media.bvid}`;
+    link.target = "_blank";
+    link.textContent = media.title || media.bvid;
+    item.append(link);
+    const notes = [media.statusName || media.error, media.titleSource && `标题来自 ${media.titleSource}`];
+    for (const note of notes.filter(Boolean)) {
+      const tag = document.createElement("span");
+      tag.className = "tag";
+      tag.textContent = note;
+      item.append(tag);
+    }
+    return item;
+  }));
+  fragment.append(heading, list);
+  return fragment;
+}
+
+/**
+ * 展示恢复计划 (预览) 或恢复结果
+ *
+ * @param {Object} plan - 恢复计划，实际恢复后还包括 { newId, added, failed }
+ */
+const renderRestorePlan = (plan) => {
+  const { folder } = plan;
+  const done = plan.newId !== undefined;
+  const summary = document.createElement("p");
+  summary.textContent = done
+    ? `已在B站上新建收藏夹“${folder.title}”，添加了 ${plan.added} 个视频，${plan.failed.length} 个添加失败，跳过了 ${plan.skip.length} 个失效视频`
+    : `将在B站上新建${folder.privacy ? "私密" : "公开"}收藏夹“${folder.title}”，按原来的顺序添加 ${plan.add.length} 个仍然有效的视频，跳过 ${plan.skip.length} 个失效视频`;
+  restorePlan.replaceChildren(summary);
+
+  if (!done && plan.titleTaken) {
+    const warning = document.createElement("p");
+    warning.className = "hint error";
+    warning.textContent = "已经有同名的收藏夹，恢复后会出现两个名称相同的收藏夹";
+    restorePlan.append(warning);
+  }
+  if (!done && folder.restoredAs !== undefined) {
+    const warning = document.createElement("p");
+    warning.className = "hint error";
+    warning.textContent = "这个收藏夹之前已经恢复过，再次恢复会新建另一个收藏夹";
+    restorePlan.append(warning);
+  }
+  if (done && plan.failed.length > 0) {
+    restorePlan.append(createMediaList("添加失败的视频:", plan.failed));
+  }
+  if (plan.skip.length > 0) {
+    restorePlan.append(createMediaList("跳过的失效视频:", plan.skip));
+  }
+  if (!done) {
+    const button = document.createElement("button");
+    button.textContent = "确认恢复";
+    button.addEventListener("click", () => handleRestoreFolder(folder, button));
+    restorePlan.append(button);
+  }
+  restorePlan.hidden = false;
+}
+
+/**
+ * 预览恢复被删除的收藏夹
+ *
+ * @param {Object} folder - 被删除的收藏夹
+ */
+const handlePreviewFolder = async (folder) => {
+  try {
+    renderRestorePlan(await sendMessage("restoreDeletedFolder", { mid: accountSelect.value, id: folder.id, dryRun: true }));
+  } catch (err) {
+    alert(`预览失败: ${err.message}`);
+  }
+}
+
+/**
+ * 确认后在B站上重新创建被删除的收藏夹
+ *
+ * @param {Object} folder - 恢复计划中的收藏夹
+ * @param {HTMLButtonElement} button - 确认按钮，恢复过程中禁用
+ */
+const handleRestoreFolder = async (folder, button) => {
+  if (!confirm(`确定要在B站上重新创建收藏夹“${folder.title}”吗？`)) return;
+  button.disabled = true;
+  button.textContent = "正在恢复...";
+  try {
+    renderRestorePlan(await sendMessage("restoreDeletedFolder", { mid: accountSelect.value, id: folder.id, dryRun: false }));
+    await loadDeletedFolders();
+  } catch (err) {
+    alert(`恢复失败: ${err.message}`);
+    button.disabled = false;
+    button.textContent = "确认恢复";
+  }
+}
+
+/**
+ * 展示一个被删除的收藏夹
+ *
+ * @param {Object} folder - 被删除的收藏夹
+ * @returns {HTMLTableRowElement} 表格行
+ */
+const renderDeletedFolder = (folder) => {
+  const row = document.createElement("tr");
+  const cells = Array.from({ length: 5 }, () => document.createElement("td"));
+
+  cells[0].textContent = folder.title || folder.id;
+  cells[0].title = folder.intro || "";
+  cells[1].textContent = folder.count;
+  cells[2].textContent = folder.privacy ? "私密" : "公开";
+  cells[3].textContent = new Date(folder.deletedAt).toLocaleString();
+
+  if (folder.restoredAt) {
+    cells[4].append(`${new Date(folder.restoredAt).toLocaleString()} 已恢复 `);
+  }
+  const button = document.createElement("button");
+  button.textContent = "预览恢复";
+  button.addEventListener("click", () => handlePreviewFolder(folder));
+  cells[4].append(button);
+
+  row.append(...cells);
+  return row;
+}
+
+/**
+ * 获取并展示选中账号被删除的收藏夹
+ */
+const loadDeletedFolders = async () => {
+  const { folders } = accountSelect.value
+    ? await sendMessage("getDeletedFolders", { mid: accountSelect.value })
+    : { folders: [] };
+  document.getElementById("deleted-folders").replaceChildren(...folders.map(renderDeletedFolder));
+}
+
+/**
+ * 用自己创建的收藏夹填充清理失效视频的下拉框，尽量保留之前的选择
+ */
+const renderCleanFolderOptions = () => {
+  const selected = cleanFolderSelect.value;
+  const folders = archive.folders.filter(folder => !folder.type || folder.type === "created");
+  cleanFolderSelect.replaceChildren(...folders.map(folder => createOption(folder.id, folder.title)));
+  if (folders.some(folder => String(folder.id) === selected)) cleanFolderSelect.value = selected;
+  document.getElementById("preview-clean").disabled = folders.length === 0;
+}
+
+/**
+ * 展示清理计划 (预览) 或清理结果
+ *
+ * @param {Object} plan - 清理计划，实际清理后还包括 { cleaned, failed }
+ */
+const renderCleanPlan = (plan) => {
+  const done = plan.cleaned !== undefined;
+  const summary = document.createElement("p");
+  summary.textContent = done
+    ? `已从收藏夹“${plan.folder.title}”中移除 ${plan.cleaned} 个失效视频，${plan.failed.length} 个移除失败，备份已移到归档中`
+    : plan.clean.length > 0
+    ? `将从收藏夹“${plan.folder.title}”中移除以下 ${plan.clean.length} 个已备份的失效视频`
+    : `收藏夹“${plan.folder.title}”中没有可以清理的失效视频`;
+  cleanPlan.replaceChildren(summary);
+
+  if (done && plan.failed.length > 0) {
+    cleanPlan.append(createMediaList("移除失败的视频:", plan.failed));
+  }
+  if (!done && plan.clean.length > 0) {
+    cleanPlan.append(createMediaList("要清理的视频:", plan.clean));
+  }
+  if (plan.skip.length > 0) {
+    cleanPlan.append(createMediaList(`没有备份 (或只有其他来源的标题)、不会清理的失效视频 (${plan.skip.length} 个):`, plan.skip));
+  }
+  if (!done && plan.clean.length > 0) {
+    const button = document.createElement("button");
+    button.textContent = "确认清理";
+    button.addEventListener("click", () => handleClean(plan, button));
+    cleanPlan.append(button);
+  }
+  cleanPlan.hidden = false;
+}
+
+/**
+ * 预览清理选中的收藏夹
+ */
+const handlePreviewClean = async () => {
+  try {
+    renderCleanPlan(await sendMessage("cleanInvalidVideos", { mid: accountSelect.value, favId: cleanFolderSelect.value, dryRun: true }));
+  } catch (err) {
+    alert(`预览失败: ${err.message}`);
+  }
+}
+
+/**
+ * 确认后从B站收藏夹中清理失效视频
+ *
+ * @param {Object} plan - 清理计划
+ * @param {HTMLButtonElement} button - 确认按钮，清理过程中禁用
+ */
+const handleClean = async (plan, button) => {
+  if (!confirm(`确定要从B站收藏夹“${plan.folder.title}”中移除 ${plan.clean.length} 个失效视频吗？`)) return;
+  button.disabled = true;
+  button.textContent = "正在清理...";
+  try {
+    const result = await sendMessage("cleanInvalidVideos", { mid: accountSelect.value, favId: plan.folder.id, dryRun: false });
+    await loadArchive();
+    renderCleanPlan(result);
+  } catch (err) {
+    alert(`清理失败: ${err.message}`);
+    button.disabled = false;
+    button.textContent = "确认清理";
+  }
+}
+
+/**
+ * 获取并展示选中账号的归档
+ */
+const loadArchive = async () => {
+  archive = accountSelect.value
+    ? await sendMessage("getArchive", { mid: accountSelect.value })
+    : { entries: [], folders: [] };
+  renderFolderOptions();
+  renderEntries();
+  renderCleanFolderOptions();
+  restorePlan.hidden = true;
+  cleanPlan.hidden = true;
+  await loadDeletedFolders();
+}
+
+/**
+ * 填充账号下拉框，默认选中当前登录的账号
+ */
+const renderAccounts = async () => {
+  const { accounts, mid } = await sendMessage("getAccounts");
+  accountSelect.replaceChildren(...accounts.map(account => {
+    const option = createOption(account, account === mid ? `${account} (当前账号)` : account);
+    option.selected = account === mid;
+    return option;
+  }));
+}
+
+
+accountSelect.addEventListener("change", () => loadArchive().catch(err => alert(err.message)));
+folderSelect.addEventListener("change", renderEntries);
+cleanFolderSelect.addEventListener("change", () => { cleanPlan.hidden = true; });
+document.getElementById("preview-clean").addEventListener("click", handlePreviewClean);
+
+renderAccounts()
+  .then(loadArchive)
+  .catch(err => console.error(err));
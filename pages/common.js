@@ -0,0 +1,72 @@
+/**
+ * pages/common.js
+ * 
+ * 插件页面 (选项页等) 的公共方法
+ */
+
+
+const VIDEO_URL_PREFIX = "https://www.bilibili.com/video/";
+
+// 备份方式、触发方式、备份请求执行结果的显示名称
+const MODE_NAMES = { full: "全量备份", incr: "增量备份", auto: "自动备份" };
+const TRIGGER_NAMES = { install: "安装或更新插件", startup: "启动浏览器", alarm: "定时", manual: "手动", resume: "继续中断的备份", confirm: "确认删除后", restore: "恢复收藏夹后" };
+const QUEUE_STATUS_NAMES = { success: "成功", error: "失败", paused: "被限流暂停" };
+
+// 视频状态的显示名称 (与 background/status.js 中的 VIDEO_STATUS_NAMES 相同)
+const VIDEO_STATUS_NAMES = {
+  normal: "正常", unavailable: "已失效", deleted: "视频不存在", up_deleted: "up主自己删除",
+  up_only: "仅up主自己可见", reviewing: "审核中", locked: "被退回或锁定",
+};
+
+// 备份快照的保存原因、状态的显示名称
+const SNAPSHOT_REASON_NAMES = { backup: "全量备份前", restore: "恢复快照前" };
+const SNAPSHOT_STATUS_NAMES = { ok: "正常", held: "已回滚，等待确认", confirmed: "已确认删除", dismissed: "保持回滚" };
+
+// 收藏的收藏夹、订阅的合集在收藏夹名称前显示的标记 (自己创建的收藏夹不显示)
+const FOLDER_TYPE_LABELS = { collected: "[收藏] ", season: "[合集] " };
+
+/**
+ * 收藏夹页面的地址
+ * 
+ * @param {number|string} mid - 用户ID
+ * @param {number|string} favId - 收藏夹ID
+ * @returns {string} URL
+ */
+const getFavlistUrl = (mid, favId) => String(favId).startsWith("watchlater_")
+  ? "https://www.bilibili.com/watchlater/list"   // 稍后再看
+  : favId < 0
+  ? `https://space.bilibili.com/${mid}/favlist?fid=${-favId}&ftype=collect&ctype=21`   // 订阅的合集 (ID 为负数)
+  : `https://space.bilibili.com/${mid}/favlist?fid=${favId}`;
+
+
+/**
+ * 向 background 发送消息，并解析响应
+ * 
+ * @param {string} type - 消息类型，对应 background.js 中 messageHandlers 的处理函数名
+ * @param {Object} payload - 消息参数
+ * @returns {Promise<*>} 处理结果
+ * @throws {Error} 处理失败
+ */
+const sendMessage = async (type, payload = {}) => {
+  const res = await chrome.runtime.sendMessage({ type, ...payload });
+  if (!res?.ok) {
+    throw new Error(res?.error || "后台没有响应");
+  }
+  return res.data;
+}
+
+/**
+ * 把文本保存为文件，触发浏览器下载
+ * 
+ * @param {string} filename - 文件名
+ * @param {string} mimeType - 文件类型
+ * @param {string} content - 文件内容
+ */
+const downloadFile = (filename, mimeType, content) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
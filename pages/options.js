@@ -0,0 +1,448 @@
+/**
+ * pages/options.js
+ * 
+ * 选项页: 修改备份设置、失效通知设置、失效视频标题来源、WebDAV 同步，导出、导入备份数据
+ */
+
+
+const settingsForm = document.getElementById("settings-form");
+const settingsResult = document.getElementById("settings-result");
+const exportAccountSelect = document.getElementById("export-account");
+const importFileInput = document.getElementById("import-file");
+const importButton = document.getElementById("import-button");
+const importResult = document.getElementById("import-result");
+
+
+/**
+ * 根据每一项设置的定义生成表单
+ * 
+ * @param {Object} settings - 当前设置
+ * @param {Object} definitions - 每一项设置的默认值和取值范围
+ */
+const renderSettings = (settings, definitions) => {
+  settingsForm.replaceChildren(...Object.entries(definitions).map(([key, definition]) => {
+    const row = document.createElement("div");
+    row.className = "row";
+
+    const label = document.createElement("label");
+    label.htmlFor = `setting-${key}`;
+    label.textContent = definition.label;
+
+    const input = document.createElement("input");
+    input.type = "number";
+    input.id = `setting-${key}`;
+    input.name = key;
+    input.min = definition.min;
+    input.max = definition.max;
+    input.value = settings[key];
+
+    const hint = document.createElement("span");
+    hint.className = "hint";
+    hint.textContent = `${definition.unit} (默认 ${definition.default})`;
+
+    row.append(label, input, hint);
+    return row;
+  }));
+}
+
+/**
+ * 保存设置
+ * 
+ * @param {Object} settings - 要保存的设置
+ */
+const handleSaveSettings = async (settings) => {
+  try {
+    await sendMessage("saveSettings", { settings });
+    settingsResult.className = "hint";
+    settingsResult.textContent = "已保存";
+    await loadSettings();
+  } catch (err) {
+    settingsResult.className = "error";
+    settingsResult.textContent = err.message;
+  }
+}
+
+/**
+ * 获取并展示当前设置
+ */
+const loadSettings = async () => {
+  const { settings, definitions } = await sendMessage("getSettings");
+  renderSettings(settings, definitions);
+
+  const { count, size } = await sendMessage("getCoverStats");
+  document.getElementById("cover-stats").textContent = `已存档 ${count} 张，占用 ${(size / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * 展示当前账号每个收藏夹的失效通知开关，切换后立即保存
+ */
+const renderNotifyFolders = async () => {
+  const { mid, folders } = await sendMessage("getNotifyFolders");
+  document.getElementById("notify-account").textContent = mid ?? "-";
+  document.getElementById("notify-folders").replaceChildren(...folders.map(folder => {
+    const row = document.createElement("div");
+    row.className = "row";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.id = `notify-${folder.id}`;
+    checkbox.checked = !folder.muted;
+    checkbox.addEventListener("change", async () => {
+      try {
+        await sendMessage("setFolderMuted", { mid, favId: folder.id, muted: !checkbox.checked });
+      } catch (err) {
+        checkbox.checked = !checkbox.checked;
+        alert(`保存失败: ${err.message}`);
+      }
+    });
+
+    const label = document.createElement("label");
+    label.htmlFor = checkbox.id;
+    label.textContent = folder.title;
+
+    row.append(checkbox, label);
+    return row;
+  }));
+}
+
+/**
+ * 获取并展示失效视频标题的来源配置和统计数据
+ */
+const renderTitleResolvers = async () => {
+  const { resolvers, stats } = await sendMessage("getTitleResolvers");
+  document.getElementById("resolver-endpoint").value = resolvers.endpoint;
+  document.getElementById("resolver-archive").value = resolvers.archive;
+  document.getElementById("title-stats").textContent = `导入的标题 ${stats.dump} 个，查到的标题 ${stats.resolved} 个，没查到 ${stats.notFound} 个`;
+}
+
+/**
+ * 保存失效视频标题的来源配置
+ *
+ * 查询其他网站需要对应网站的访问权限，保存前先向用户申请 (需要在点击事件中调用)
+ */
+const handleSaveResolvers = async () => {
+  const resultText = document.getElementById("resolvers-result");
+  const resolvers = {
+    endpoint: document.getElementById("resolver-endpoint").value.trim(),
+    archive: document.getElementById("resolver-archive").value.trim(),
+  };
+  try {
+    const origins = Object.values(resolvers).filter(Boolean).map(template => {
+      const url = new URL(template);
+      return `${url.protocol}//${url.hostname}/*`;
+    });
+    if (origins.length > 0 && !await chrome.permissions.request({ origins })) {
+      throw new Error("没有获得访问这些网站的权限");
+    }
+    await sendMessage("saveTitleResolvers", { resolvers });
+    resultText.className = "hint";
+    resultText.textContent = "已保存";
+    await renderTitleResolvers();
+  } catch (err) {
+    resultText.className = "error";
+    resultText.textContent = err instanceof TypeError ? "URL 格式错误" : err.message;
+  }
+}
+
+/**
+ * 导入选中的标题文件 (JSON / CSV)
+ */
+const handleImportTitleDump = async () => {
+  const file = document.getElementById("title-dump-file").files[0];
+  const resultText = document.getElementById("title-dump-result");
+  if (!file) {
+    alert("请先选择要导入的文件");
+    return;
+  }
+
+  resultText.className = "";
+  try {
+    const { imported, skipped } = await sendMessage("importTitleDump", { text: await file.text(), filename: file.name });
+    resultText.textContent = `导入成功: ${imported} 个视频标题${skipped > 0 ? `，跳过 ${skipped} 条没有BV号或标题的记录` : ""}`;
+    await renderTitleResolvers();
+  } catch (err) {
+    resultText.className = "error";
+    resultText.textContent = `导入失败: ${err.message}`;
+  }
+}
+
+/**
+ * 清除导入的标题或在线查询的结果
+ *
+ * @param {string} kind - dump | lookup
+ */
+const handleClearTitleSource = async (kind) => {
+  if (!confirm(kind === "dump" ? "确定清除所有导入的标题吗？" : "确定清除所有查询结果吗？之后会重新查询")) return;
+  try {
+    await sendMessage("clearTitleSource", { kind });
+    await renderTitleResolvers();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+/**
+ * 获取并展示 WebDAV 配置和同步状态
+ */
+const renderWebdavSync = async () => {
+  const { config, state } = await sendMessage("getWebdavSync");
+  document.getElementById("webdav-url").value = config.url;
+  document.getElementById("webdav-username").value = config.username;
+  document.getElementById("webdav-password").value = config.password;
+
+  const stateText = document.getElementById("webdav-state");
+  stateText.className = state.error ? "hint error" : "hint";
+  stateText.textContent = [
+    `上次上传: ${state.lastPushAt ? new Date(state.lastPushAt).toLocaleString() : "-"}`,
+    `上次下载: ${state.lastPullAt ? new Date(state.lastPullAt).toLocaleString() : "-"}`,
+    state.error && `${new Date(state.errorAt).toLocaleString()} ${state.error}`,
+  ].filter(Boolean).join("，");
+}
+
+/**
+ * 保存 WebDAV 配置，访问服务器需要对应网站的权限，保存前先向用户申请 (需要在点击事件中调用)
+ *
+ * @returns {Promise<boolean>} 是否保存成功
+ */
+const handleSaveWebdav = async () => {
+  const resultText = document.getElementById("webdav-result");
+  const config = {
+    url: document.getElementById("webdav-url").value.trim(),
+    username: document.getElementById("webdav-username").value,
+    password: document.getElementById("webdav-password").value,
+  };
+  try {
+    if (config.url) {
+      const url = new URL(config.url);
+      if (!await chrome.permissions.request({ origins: [`${url.protocol}//${url.hostname}/*`] })) {
+        throw new Error("没有获得访问 WebDAV 服务器的权限");
+      }
+    }
+    await sendMessage("saveWebdavSync", { config });
+    resultText.className = "hint";
+    resultText.textContent = "已保存";
+    return true;
+  } catch (err) {
+    resultText.className = "error";
+    resultText.textContent = err instanceof TypeError ? "URL 格式错误" : err.message;
+    return false;
+  }
+}
+
+/**
+ * 保存 WebDAV 配置后立即同步
+ */
+const handleSyncWebdav = async () => {
+  const button = document.getElementById("sync-webdav");
+  const resultText = document.getElementById("webdav-result");
+  if (!await handleSaveWebdav()) return;
+
+  button.disabled = true;
+  resultText.className = "hint";
+  resultText.textContent = "同步中...";
+  try {
+    const { pulled, pushed } = await sendMessage("syncWebdavNow");
+    const added = pulled.reduce((total, result) => total + result.added, 0);
+    resultText.textContent = `同步完成: 下载了 ${pulled.length} 个账号的备份，新增 ${added} 条视频备份${pushed ? "，已上传当前账号的备份" : ""}`;
+    await renderAccounts();
+  } catch (err) {
+    resultText.className = "error";
+    resultText.textContent = `同步失败: ${err.message}`;
+  } finally {
+    button.disabled = false;
+    await renderWebdavSync().catch(err => console.error(err));
+  }
+}
+
+/**
+ * 展示所有账号的备份快照，等待确认的快照可以确认删除或保持回滚，所有快照都可以手动恢复
+ */
+const renderSnapshots = async () => {
+  const { snapshots } = await sendMessage("getSnapshots");
+  const container = document.getElementById("snapshots");
+  if (snapshots.length === 0) {
+    container.textContent = "还没有快照";
+    return;
+  }
+
+  /**
+   * 创建操作快照的按钮，成功后刷新快照列表
+   *
+   * @param {string} text - 按钮文字
+   * @param {string} type - 消息类型
+   * @param {Object} snapshot - 快照摘要
+   * @param {string} confirmText - 执行前的确认提示
+   */
+  const createButton = (text, type, snapshot, confirmText) => {
+    const button = document.createElement("button");
+    button.textContent = text;
+    button.addEventListener("click", async () => {
+      if (!confirm(confirmText)) return;
+      button.disabled = true;
+      try {
+        await sendMessage(type, { id: snapshot.id });
+        await renderSnapshots();
+      } catch (err) {
+        button.disabled = false;
+        alert(`操作失败: ${err.message}`);
+      }
+    });
+    return button;
+  }
+
+  container.replaceChildren(...snapshots.map(snapshot => {
+    const item = document.createElement("div");
+    const row = document.createElement("div");
+    row.className = "row";
+    const text = document.createElement("span");
+    text.className = snapshot.status === "held" ? "error" : "";
+    text.textContent = `${new Date(snapshot.createdAt).toLocaleString()} 账号 ${snapshot.mid} ${SNAPSHOT_REASON_NAMES[snapshot.reason] || snapshot.reason}`
+      + `: ${snapshot.counts.folders} 个收藏夹，${snapshot.counts.memberships} 条收藏记录，${snapshot.counts.backedUp} 个已备份视频`
+      + (snapshot.status === "ok" ? "" : ` [${SNAPSHOT_STATUS_NAMES[snapshot.status]}]`);
+    row.appendChild(text);
+
+    if (snapshot.status === "held") {
+      row.append(
+        createButton("确认删除", "confirmSnapshot", snapshot, "确认这些收藏记录确实被删除了？会重新执行一次全量备份，并删除它们的备份 (会移到归档中)"),
+        createButton("保持回滚", "dismissSnapshot", snapshot, "保持回滚后的备份？下次全量备份仍然会删除这些记录时，会再次回滚"),
+      );
+    }
+    row.appendChild(createButton("恢复", "restoreSnapshot", snapshot, `把账号 ${snapshot.mid} 的备份恢复为这个快照中的数据？恢复前会先保存当前数据的快照`));
+    item.appendChild(row);
+
+    // 和备份结果比较时删除的记录
+    if (snapshot.diff && snapshot.diff.removed > 0) {
+      const diff = document.createElement("div");
+      diff.className = "hint";
+      diff.textContent = `删除了 ${snapshot.diff.removed}/${snapshot.diff.total} 条收藏记录`
+        + (snapshot.diff.removedFolders.length > 0 ? `，删除的收藏夹: ${snapshot.diff.removedFolders.join("、")}` : "")
+        + (snapshot.diff.removedInvalid > 0
+          ? `，其中 ${snapshot.diff.removedInvalid} 个是已备份的失效视频: ${snapshot.diff.removedInvalidItems.map(video => `${video.title} (${video.bvid})`).join("、")}`
+          : "");
+      item.appendChild(diff);
+    }
+    return item;
+  }));
+}
+
+/**
+ * 展示备份队列的状态和最近的执行历史
+ */
+const renderBackupQueue = async () => {
+  const { running, job, queue, history } = await sendMessage("getBackupQueue");
+  const describe = (request) => `${MODE_NAMES[request.mode]} (${request.triggers.map(trigger => TRIGGER_NAMES[trigger] || trigger).join("、")})`;
+  const lines = [
+    `正在执行: ${running ? `${MODE_NAMES[running.mode]}，${running.done}/${running.total} ${running.current || ""}` : "无"}`,
+    `未完成的任务: ${job
+      ? `${MODE_NAMES[job.mode]}，已完成 ${job.done.length}/${job.favlist?.length ?? "-"} 个收藏夹${job.pausedUntil ? `，被限流暂停至 ${new Date(job.pausedUntil).toLocaleString()}` : ""}`
+      : "无"}`,
+    `排队中: ${queue.length > 0 ? queue.map(describe).join("；") : "无"}`,
+  ];
+  document.getElementById("queue-state").replaceChildren(...lines.map(line => {
+    const row = document.createElement("div");
+    row.className = "row";
+    row.textContent = line;
+    return row;
+  }));
+
+  document.getElementById("queue-history").replaceChildren(...history.map(entry => {
+    const row = document.createElement("div");
+    row.className = `hint${entry.status === "error" ? " error" : ""}`;
+    row.textContent = `${new Date(entry.startedAt).toLocaleString()} ${describe(entry)} ${QUEUE_STATUS_NAMES[entry.status]}`
+      + ` (排队 ${Math.round((entry.startedAt - entry.requestedAt) / 1000)} 秒，耗时 ${Math.round((entry.finishedAt - entry.startedAt) / 1000)} 秒)`
+      + (entry.error ? `: ${entry.error}` : "");
+    return row;
+  }));
+}
+
+/**
+ * 填充账号下拉框，默认选中当前登录的账号
+ */
+const renderAccounts = async () => {
+  const { accounts, mid } = await sendMessage("getAccounts");
+  exportAccountSelect.replaceChildren(...accounts.map(account => {
+    const option = document.createElement("option");
+    option.value = account;
+    option.textContent = account === mid ? `${account} (当前账号)` : account;
+    option.selected = account === mid;
+    return option;
+  }));
+}
+
+/**
+ * 导出选中账号的备份数据
+ * 
+ * @param {string} format - 导出格式 json | csv | html
+ */
+const handleExport = async (format) => {
+  const mid = exportAccountSelect.value;
+  if (!mid) {
+    alert("还没有任何备份数据");
+    return;
+  }
+  try {
+    const { filename, mimeType, content } = await sendMessage("exportBackup", { mid, format });
+    downloadFile(filename, mimeType, content);
+  } catch (err) {
+    alert(`导出失败: ${err.message}`);
+  }
+}
+
+/**
+ * 导入选中的 JSON 文件
+ */
+const handleImport = async () => {
+  const file = importFileInput.files[0];
+  if (!file) {
+    alert("请先选择要导入的文件");
+    return;
+  }
+
+  importButton.disabled = true;
+  importResult.className = "";
+  try {
+    const { mid, folders, added } = await sendMessage("importBackup", { text: await file.text() });
+    importResult.textContent = `导入成功: 账号 ${mid}，${folders} 个收藏夹，新增 ${added} 条视频备份`;
+    await renderAccounts();
+  } catch (err) {
+    importResult.className = "error";
+    importResult.textContent = `导入失败: ${err.message}`;
+  } finally {
+    importButton.disabled = false;
+  }
+}
+
+
+document.getElementById("save-settings").addEventListener("click", () => {
+  handleSaveSettings(Object.fromEntries(new FormData(settingsForm)));
+});
+document.getElementById("reset-settings").addEventListener("click", async () => {
+  const { definitions } = await sendMessage("getSettings");
+  handleSaveSettings(Object.fromEntries(Object.entries(definitions).map(([key, definition]) => [key, definition.default])));
+});
+settingsForm.addEventListener("submit", (event) => event.preventDefault());
+document.querySelectorAll("button[data-format]").forEach(button => {
+  button.addEventListener("click", () => handleExport(button.dataset.format));
+});
+importButton.addEventListener("click", handleImport);
+document.getElementById("save-resolvers").addEventListener("click", handleSaveResolvers);
+document.getElementById("title-dump-button").addEventListener("click", handleImportTitleDump);
+document.getElementById("clear-title-dump").addEventListener("click", () => handleClearTitleSource("dump"));
+document.getElementById("clear-title-lookup").addEventListener("click", () => handleClearTitleSource("lookup"));
+document.getElementById("save-webdav").addEventListener("click", async () => {
+  if (await handleSaveWebdav()) {
+    await renderWebdavSync().catch(err => console.error(err));
+  }
+});
+document.getElementById("sync-webdav").addEventListener("click", handleSyncWebdav);
+document.getElementById("refresh-queue").addEventListener("click", () => {
+  renderBackupQueue().catch(err => alert(err.message));
+});
+
+loadSettings().catch(err => console.error(err));
+renderAccounts().catch(err => console.error(err));
+renderNotifyFolders().catch(err => console.error(err));
+renderTitleResolvers().catch(err => console.error(err));
+renderWebdavSync().catch(err => console.error(err));
+renderSnapshots().catch(err => console.error(err));
+renderBackupQueue().catch(err => console.error(err));
@@ -0,0 +1,149 @@
+/**
+ * pages/popup.js
+ * 
+ * 插件弹窗: 展示备份状态，手动执行全量 / 增量备份
+ */
+
+
+const backupFullButton = document.getElementById("backup-full");
+const backupIncrButton = document.getElementById("backup-incr");
+
+
+/**
+ * 格式化时间戳
+ * 
+ * @param {number} timestamp - 时间戳 (毫秒)
+ * @returns {string} 格式化后的时间，时间戳为空时返回 "-"
+ */
+const formatTime = (timestamp) => timestamp ? new Date(timestamp).toLocaleString() : "-";
+
+/**
+ * 展示备份进度，没有正在执行的备份任务时隐藏进度条
+ * 
+ * @param {Object|null} running - 正在执行的备份任务
+ */
+const renderProgress = (running) => {
+  document.getElementById("progress").hidden = !running;
+  if (!running) return;
+
+  const progressBar = document.getElementById("progress-bar");
+  progressBar.max = running.total || 1;
+  progressBar.value = running.done;
+  document.getElementById("progress-text").textContent = running.total
+    ? `${MODE_NAMES[running.mode]}中: ${running.done} / ${running.total} ${running.current || ""}`
+    : `${MODE_NAMES[running.mode]}中: 正在获取收藏夹列表`;
+}
+
+/**
+ * 展示每个收藏夹的统计数据
+ * 
+ * @param {Array<Object>} folders - 收藏夹列表
+ */
+const renderFolders = (folders) => {
+  document.getElementById("folders").replaceChildren(...folders.map(folder => {
+    const row = document.createElement("tr");
+    const cells = [
+      `${FOLDER_TYPE_LABELS[folder.type] || ""}${folder.title}`,
+      folder.stats?.backedUp ?? "-",
+      folder.stats?.rescued ?? "-",
+      folder.stats?.lost ?? "-",
+    ];
+    for (const text of cells) {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    row.firstChild.title = folder.up?.name ? `${folder.title} (创建者: ${folder.up.name})` : folder.title;
+    return row;
+  }));
+}
+
+/**
+ * 获取并展示备份状态
+ */
+const renderStatus = async () => {
+  const status = await sendMessage("getBackupStatus");
+
+  document.getElementById("account").textContent = status.mid === undefined
+    ? "还没有备份过任何账号"
+    : `${status.name || ""} (${status.mid})`;
+  document.getElementById("last-full-backup").textContent = formatTime(status.lastFullBackupTime);
+
+  const lastRun = status.lastRun;
+  const lastRunText = document.getElementById("last-run");
+  lastRunText.className = lastRun?.error ? "error" : "";
+  lastRunText.textContent = lastRun
+    ? `${formatTime(lastRun.finishedAt)} ${TRIGGER_NAMES[lastRun.trigger] || ""}${MODE_NAMES[lastRun.mode] || ""} ${lastRun.error ? `失败: ${lastRun.error}` : "成功"}`
+    : "-";
+  // 未完成的备份任务 (被限流暂停，或者中断后等待继续)
+  const job = status.job;
+  const jobText = document.getElementById("pending-job");
+  jobText.hidden = !job;
+  if (job) {
+    const progress = `已完成 ${job.done}/${job.total} 个收藏夹`;
+    jobText.textContent = job.pausedUntil
+      ? `被B站限流，${MODE_NAMES[job.mode]}已暂停 (${progress})，将于 ${formatTime(job.pausedUntil)} 继续`
+      : `${MODE_NAMES[job.mode]}被中断 (${progress})，即将继续`;
+  }
+
+  // 全量备份删除的记录过多，已经回滚，等待在选项页中确认
+  const held = status.heldSnapshot;
+  document.getElementById("held-snapshot").hidden = !held;
+  if (held) {
+    document.getElementById("held-removed").textContent = `${held.diff.removed}/${held.diff.total}`;
+  }
+
+  // 排队等待执行的备份请求 (正在执行的任务结束后依次执行)
+  const queueText = document.getElementById("queue");
+  queueText.hidden = status.queue.length === 0;
+  queueText.textContent = `排队中: ${status.queue.map(request => MODE_NAMES[request.mode]).join("、")}`;
+
+  renderProgress(status.running);
+  renderFolders(status.folders);
+}
+
+/**
+ * 手动执行备份
+ * 
+ * @param {string} mode - full | incr
+ */
+const startBackup = async (mode) => {
+  try {
+    const { merged } = await sendMessage("startBackup", { mode });
+    if (merged) {
+      alert("已经有相同或包含它的备份在排队，不会重复执行");
+    }
+    await renderStatus();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+
+// 备份进度更新时刷新页面，备份结束时 (data 为 null) 重新获取整个备份状态
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type !== "backupProgress") return;
+  if (message.data) {
+    renderProgress(message.data);
+  } else {
+    renderStatus().catch(err => console.error(err));
+  }
+});
+
+backupFullButton.addEventListener("click", () => startBackup("full"));
+backupIncrButton.addEventListener("click", () => startBackup("incr"));
+// 在新标签页中打开插件的其他页面 (搜索、变更历史、归档)
+document.querySelectorAll("a[data-page]").forEach(link => {
+  link.addEventListener("click", (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL(`pages/${link.dataset.page}`) });
+  });
+});
+for (const id of ["open-options", "open-snapshots"]) {
+  document.getElementById(id).addEventListener("click", (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+}
+
+renderStatus().catch(err => console.error(err));
@@ -0,0 +1,104 @@
+/**
+ * pages/search.js
+ * 
+ * 搜索页: 在所有备份数据中搜索视频，结果链接到视频页面和所在的收藏夹页面
+ */
+
+
+const searchForm = document.getElementById("search-form");
+const queryInput = document.getElementById("query");
+const statusSelect = document.getElementById("status");
+const summary = document.getElementById("summary");
+
+
+/**
+ * 创建链接
+ * 
+ * @param {string} href - 地址
+ * @param {string} text - 链接文本
+ * @returns {HTMLAnchorElement} 链接
+ */
+const createLink = (href, text) => {
+  const link = document.createElement("a");
+  link.href = href;
+  link.target = "_blank";
+  link.textContent = text;
+  return link;
+}
+
+/**
+ * 展示一条搜索结果
+ * 
+ * @param {Object} result - 搜索结果
+ * @returns {HTMLLIElement} 列表项
+ */
+const renderResult = (result) => {
+  const item = document.createElement("li");
+
+  const title = document.createElement("div");
+  title.className = "result-title";
+  title.appendChild(createLink(`${VIDEO_URL_PREFIX}${result.bvid}`, result.title || result.bvid));
+  if (result.invalid) {
+    const tag = document.createElement("span");
+    tag.className = "tag";
+    tag.textContent = VIDEO_STATUS_NAMES[result.status] || "已失效";
+    title.appendChild(tag);
+  }
+  if (result.unfavorited) {
+    const tag = document.createElement("span");
+    tag.className = "tag tag-unfavorited";
+    tag.textContent = "已取消收藏";
+    title.appendChild(tag);
+  }
+  if (result.titleSource) {
+    const tag = document.createElement("span");
+    tag.className = "tag tag-unfavorited";
+    tag.textContent = `标题来源: ${result.titleSource}`;
+    title.appendChild(tag);
+  }
+
+  const meta = document.createElement("div");
+  meta.className = "result-meta hint";
+  meta.append(`${result.bvid}${result.avid ? ` / av${result.avid}` : ""}  up主: ${result.up?.name || "-"}  收藏夹: `);
+  for (const folder of result.folders) {
+    meta.appendChild(createLink(getFavlistUrl(folder.mid, folder.id), folder.title || folder.id));
+  }
+
+  item.append(title, meta);
+  if (result.intro) {
+    const intro = document.createElement("div");
+    intro.className = "result-intro";
+    intro.textContent = result.intro;
+    intro.title = result.intro;
+    item.appendChild(intro);
+  }
+  return item;
+}
+
+/**
+ * 执行搜索并展示结果
+ */
+const handleSearch = async () => {
+  const query = queryInput.value.trim();
+  if (!query) return;
+
+  summary.className = "hint";
+  summary.textContent = "搜索中...";
+  try {
+    const { total, results } = await sendMessage("searchBackup", { query, status: statusSelect.value });
+    summary.textContent = total > results.length
+      ? `找到 ${total} 个视频，只显示最相关的 ${results.length} 个`
+      : `找到 ${total} 个视频`;
+    document.getElementById("results").replaceChildren(...results.map(renderResult));
+  } catch (err) {
+    summary.className = "error";
+    summary.textContent = `搜索失败: ${err.message}`;
+  }
+}
+
+
+searchForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  handleSearch();
+});
+statusSelect.addEventListener("change", handleSearch);
@@ -0,0 +1,137 @@
+/**
+ * pages/timeline.js
+ * 
+ * 变更历史: 按时间倒序展示备份时发现的新增收藏、取消收藏、视频失效，可以按收藏夹、类型、时间筛选
+ */
+
+
+const TYPE_NAMES = { add: "新增收藏", remove: "取消收藏", invalid: "视频失效", restore: "视频恢复" };
+const DAY = 24 * 60 * 60 * 1000;
+
+const accountSelect = document.getElementById("account");
+const folderSelect = document.getElementById("folder");
+const typeSelect = document.getElementById("type");
+const rangeSelect = document.getElementById("range");
+
+/**
+ * 当前账号的所有变更历史 (筛选在页面中完成)
+ */
+let events = [];
+
+
+/**
+ * 创建下拉框选项
+ * 
+ * @param {string|number} value - 选项的值
+ * @param {string} text - 选项的文本
+ * @returns {HTMLOptionElement} 选项
+ */
+const createOption = (value, text) => {
+  const option = document.createElement("option");
+  option.value = value;
+  option.textContent = text;
+  return option;
+}
+
+/**
+ * 计算时间范围的起始时间戳
+ * 
+ * @param {string} range - week | month | 30days | year，为空表示不限
+ * @returns {number} 起始时间戳 (毫秒)
+ */
+const getRangeStart = (range) => {
+  const now = new Date();
+  switch (range) {
+    case "week":   return now.getTime() - 7 * DAY;
+    case "month":  return new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+    case "30days": return now.getTime() - 30 * DAY;
+    case "year":   return now.getTime() - 365 * DAY;
+    default:       return 0;
+  }
+}
+
+/**
+ * 用变更历史中出现过的收藏夹填充收藏夹下拉框 (包括已经删除的收藏夹)，尽量保留之前的选择
+ */
+const renderFolderOptions = () => {
+  const selected = folderSelect.value;
+  const folders = new Map();
+  for (const event of events) {
+    if (!folders.has(String(event.favId))) folders.set(String(event.favId), event.favTitle || String(event.favId));
+  }
+  folderSelect.replaceChildren(
+    createOption("", "全部"),
+    ...Array.from(folders, ([favId, title]) => createOption(favId, title)),
+  );
+  folderSelect.value = folders.has(selected) ? selected : "";
+}
+
+/**
+ * 按筛选条件展示变更历史
+ */
+const renderEvents = () => {
+  const favId = folderSelect.value;
+  const type = typeSelect.value;
+  const since = getRangeStart(rangeSelect.value);
+  const filtered = events.filter(event => (!favId || String(event.favId) === favId)
+    && (!type || event.type === type)
+    && event.time >= since);
+
+  document.getElementById("summary").textContent = `共 ${filtered.length} 条记录`;
+  document.getElementById("events").replaceChildren(...filtered.map(event => {
+    const row = document.createElement("tr");
+    const cells = [
+      new Date(event.time).toLocaleString(),
+      TYPE_NAMES[event.type] || event.type,
+      event.favTitle || event.favId,
+      null,
+      event.up?.name || "",
+    ].map(text => {
+      const cell = document.createElement("td");
+      cell.textContent = text ?? "";
+      return cell;
+    });
+    cells[1].className = `type-${event.type}`;
+
+    const link = document.createElement("a");
+    link.href = `${VIDEO_URL_PREFIX}${event.bvid}`;
+    link.target = "_blank";
+    link.textContent = event.title || event.bvid;
+    link.title = event.bvid;
+    cells[3].appendChild(link);
+
+    row.append(...cells);
+    return row;
+  }));
+}
+
+/**
+ * 获取并展示选中账号的变更历史
+ */
+const loadEvents = async () => {
+  events = accountSelect.value ? await sendMessage("getHistory", { mid: accountSelect.value }) : [];
+  renderFolderOptions();
+  renderEvents();
+}
+
+/**
+ * 填充账号下拉框，默认选中当前登录的账号
+ */
+const renderAccounts = async () => {
+  const { accounts, mid } = await sendMessage("getAccounts");
+  accountSelect.replaceChildren(...accounts.map(account => {
+    const option = createOption(account, account === mid ? `${account} (当前账号)` : account);
+    option.selected = account === mid;
+    return option;
+  }));
+}
+
+
+accountSelect.addEventListener("change", () => loadEvents().catch(err => alert(err.message)));
+for (const select of [folderSelect, typeSelect, rangeSelect]) {
+  select.addEventListener("change", renderEvents);
+}
+
+renderAccounts()
+  .then(loadEvents)
+  .catch(err => console.error(err));